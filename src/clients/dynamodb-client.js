@@ -1,13 +1,11 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
-import { awsConfig } from '../config/aws-config.js';
+import { getClientConfig } from '../config/aws-config.js';
 
 /**
  * Basic DynamoDB client
  */
-const dynamoDBClient = new DynamoDBClient({
-  region: awsConfig.region,
-});
+const dynamoDBClient = new DynamoDBClient(getClientConfig('dynamodb'));
 
 /**
  * DynamoDB Document client (easier to use for CRUD operations)
@@ -0,0 +1,270 @@
+import { registerMiddleware } from './middleware.js';
+
+/**
+ * Metrics of the calls made through the shared clients, per service and
+ * operation: calls, errors by error name, SDK retries, latency and DynamoDB
+ * consumed capacity. Kept in memory and rendered in Prometheus text format.
+ */
+
+// Latency buckets in seconds, from a fast GetItem to a slow multipart part
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+// DynamoDB operations that accept ReturnConsumedCapacity
+const CAPACITY_OPERATIONS = [
+  'GetItem',
+  'PutItem',
+  'UpdateItem',
+  'DeleteItem',
+  'Query',
+  'Scan',
+  'BatchGetItem',
+  'BatchWriteItem',
+  'TransactGetItems',
+  'TransactWriteItems',
+];
+
+const METRICS = {
+  calls: {
+    name: 'aws_sdk_calls_total',
+    help: 'AWS SDK calls by service and operation',
+    type: 'counter',
+  },
+  errors: {
+    name: 'aws_sdk_errors_total',
+    help: 'Failed AWS SDK calls by service, operation and error name',
+    type: 'counter',
+  },
+  retries: {
+    name: 'aws_sdk_retries_total',
+    help: 'Attempts retried by the SDK by service and operation',
+    type: 'counter',
+  },
+  consumedCapacity: {
+    name: 'aws_dynamodb_consumed_capacity_total',
+    help: 'DynamoDB capacity units consumed by table and operation',
+    type: 'counter',
+  },
+  durations: {
+    name: 'aws_sdk_call_duration_seconds',
+    help: 'Duration of AWS SDK calls, SDK retries included',
+    type: 'histogram',
+  },
+};
+
+let counters = createCounters();
+let durations = new Map();
+let removeMiddleware = null;
+
+/**
+ * Start recording metrics of the shared clients
+ * @param {Object} options - Metrics options
+ * @param {string[]} options.services - Clients to measure: 's3', 'dynamodb' (default both)
+ * @param {number[]} options.buckets - Latency histogram buckets in seconds (default DEFAULT_BUCKETS)
+ * @param {boolean} options.consumedCapacity - Ask DynamoDB for the capacity consumed by
+ *   each call, unless the call already sets ReturnConsumedCapacity (default true)
+ * @returns {Function} Stops recording
+ */
+export function enableMetrics(options = {}) {
+  const {
+    services = ['s3', 'dynamodb'],
+    buckets = DEFAULT_BUCKETS,
+    consumedCapacity = true,
+  } = options;
+
+  // Enabling twice would count every call twice
+  disableMetrics();
+
+  const removers = services.map((service) =>
+    registerMiddleware(
+      (next, context) => async (args) => {
+        const operation = context.commandName.replace(/Command$/, '');
+        const labels = { service, operation };
+        // A copy, so the params object of the caller is left untouched
+        const request =
+          consumedCapacity &&
+          service === 'dynamodb' &&
+          CAPACITY_OPERATIONS.includes(operation) &&
+          !args.input.ReturnConsumedCapacity
+            ? {
+                ...args,
+                input: { ...args.input, ReturnConsumedCapacity: 'TOTAL' },
+              }
+            : args;
+
+        const startedAt = performance.now();
+        try {
+          const result = await next(request);
+          recordCall(labels, result.output, buckets, startedAt);
+          recordConsumedCapacity(operation, result.output?.ConsumedCapacity);
+          return result;
+        } catch (error) {
+          recordCall(labels, error, buckets, startedAt);
+          increment(counters.errors, {
+            ...labels,
+            error: error.name || 'Error',
+          });
+          throw error;
+        }
+      },
+      { services: [service], step: 'initialize', priority: 'high' }
+    )
+  );
+
+  removeMiddleware = () => removers.forEach((remove) => remove());
+  return disableMetrics;
+}
+
+/**
+ * Stop recording metrics. The values recorded so far are kept.
+ */
+export function disableMetrics() {
+  removeMiddleware?.();
+  removeMiddleware = null;
+}
+
+/**
+ * Forget every recorded value, e.g. between tests
+ */
+export function resetMetrics() {
+  counters = createCounters();
+  durations = new Map();
+}
+
+/**
+ * Current values, one entry per label combination
+ * @returns {Object} { calls, errors, retries, consumedCapacity, durations }
+ */
+export function getMetrics() {
+  const values = (counter) =>
+    Array.from(counter.values(), ({ labels, value }) => ({ ...labels, value }));
+
+  return {
+    calls: values(counters.calls),
+    errors: values(counters.errors),
+    retries: values(counters.retries),
+    consumedCapacity: values(counters.consumedCapacity),
+    durations: Array.from(
+      durations.values(),
+      ({ labels, buckets, counts, sum, count }) => ({
+        ...labels,
+        count,
+        sum,
+        buckets: Object.fromEntries(
+          buckets.map((bound, index) => [bound, counts[index]])
+        ),
+      })
+    ),
+  };
+}
+
+/**
+ * Render the metrics in Prometheus text exposition format, e.g. to serve
+ * them from a /metrics endpoint
+ * @returns {string} Metrics text
+ */
+export function renderPrometheusMetrics() {
+  const lines = [];
+  const header = ({ name, help, type }) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  };
+
+  ['calls', 'errors', 'retries', 'consumedCapacity'].forEach((key) => {
+    header(METRICS[key]);
+    counters[key].forEach(({ labels, value }) => {
+      lines.push(`${METRICS[key].name}${formatLabels(labels)} ${value}`);
+    });
+  });
+
+  const { name } = METRICS.durations;
+  header(METRICS.durations);
+  durations.forEach(({ labels, buckets, counts, sum, count }) => {
+    // Prometheus buckets are cumulative
+    let cumulative = 0;
+    buckets.forEach((bound, index) => {
+      cumulative += counts[index];
+      lines.push(
+        `${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${cumulative}`
+      );
+    });
+    lines.push(
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    );
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function createCounters() {
+  return {
+    calls: new Map(),
+    errors: new Map(),
+    retries: new Map(),
+    consumedCapacity: new Map(),
+  };
+}
+
+function increment(counter, labels, amount = 1) {
+  const key = JSON.stringify(labels);
+  const entry = counter.get(key) || { labels, value: 0 };
+  entry.value += amount;
+  counter.set(key, entry);
+}
+
+/**
+ * Count a finished call, its SDK retries and its duration
+ * @param {Object} labels - { service, operation }
+ * @param {Object} outcome - Output or error, both carry $metadata
+ */
+function recordCall(labels, outcome, buckets, startedAt) {
+  increment(counters.calls, labels);
+
+  const attempts = outcome?.$metadata?.attempts;
+  if (attempts > 1) {
+    increment(counters.retries, labels, attempts - 1);
+  }
+
+  const seconds = (performance.now() - startedAt) / 1000;
+  const key = JSON.stringify(labels);
+  const histogram = durations.get(key) || {
+    labels,
+    buckets,
+    counts: new Array(buckets.length).fill(0),
+    sum: 0,
+    count: 0,
+  };
+  const index = histogram.buckets.findIndex((bound) => seconds <= bound);
+  if (index >= 0) {
+    histogram.counts[index]++;
+  }
+  histogram.sum += seconds;
+  histogram.count++;
+  durations.set(key, histogram);
+}
+
+/**
+ * Add the ConsumedCapacity of a response: one object for single-table
+ * operations, an array for batches and transactions
+ */
+function recordConsumedCapacity(operation, consumedCapacity) {
+  [consumedCapacity].flat().forEach((capacity) => {
+    if (capacity?.CapacityUnits !== undefined) {
+      increment(
+        counters.consumedCapacity,
+        { table: capacity.TableName, operation },
+        capacity.CapacityUnits
+      );
+    }
+  });
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return `{${pairs.join(',')}}`;
+}
@@ -0,0 +1,87 @@
+import { s3Client } from './s3-client.js';
+import { dynamoDBClient } from './dynamodb-client.js';
+
+// dynamoDBDocClient shares the middleware stack of dynamoDBClient
+const CLIENTS = {
+  s3: s3Client,
+  dynamodb: dynamoDBClient,
+};
+
+/**
+ * Add an SDK middleware to the shared clients, so every service gets it
+ *
+ *   const remove = registerMiddleware(
+ *     (next, context) => async (args) => {
+ *       console.log(context.commandName);
+ *       return next(args);
+ *     },
+ *     { step: 'initialize', name: 'logCommands' }
+ *   );
+ *
+ * @param {Function} middleware - SDK middleware: (next, context) => (args) => Promise
+ * @param {Object} options - middlewareStack.add options (step, name, priority, override)
+ * @param {string[]} options.services - Clients to add it to: 's3', 'dynamodb' (default both)
+ * @returns {Function} Removes the middleware from those clients
+ */
+export function registerMiddleware(middleware, options = {}) {
+  const { services = Object.keys(CLIENTS), ...stackOptions } = options;
+
+  const unknown = services.filter((service) => !CLIENTS[service]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown clients: ${unknown.join(', ')}`);
+  }
+
+  services.forEach((service) => {
+    CLIENTS[service].middlewareStack.add(middleware, stackOptions);
+  });
+
+  return () => {
+    services.forEach((service) => {
+      CLIENTS[service].middlewareStack.remove(middleware);
+    });
+  };
+}
+
+/**
+ * Put a circuit breaker and/or a rate limiter in front of the shared clients.
+ *
+ * They wrap each call as a whole, SDK retries included, so a call only counts
+ * as failed once the SDK has given up, and an open breaker rejects calls
+ * before they are signed or sent.
+ * @param {Object} options - Protection options
+ * @param {Object} options.circuitBreaker - Breaker from createCircuitBreaker
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter
+ * @param {string[]} options.services - Clients to protect: 's3', 'dynamodb' (default both)
+ * @param {string[]} options.operations - Only these operations, e.g. ['GetObject', 'Query'] (default all)
+ * @returns {Function} Removes the protection
+ */
+export function attachResilience(options = {}) {
+  const { circuitBreaker, rateLimiter, services, operations } = options;
+  if (!circuitBreaker && !rateLimiter) {
+    throw new Error('A circuitBreaker or a rateLimiter is required');
+  }
+
+  // Commands are named like the low-level operations: GetItem, not Get
+  const commandNames = operations?.map((operation) =>
+    operation.endsWith('Command') ? operation : `${operation}Command`
+  );
+
+  const middleware = (next, context) => async (args) => {
+    if (commandNames && !commandNames.includes(context.commandName)) {
+      return next(args);
+    }
+    const call = async () => {
+      if (rateLimiter) {
+        await rateLimiter.acquire();
+      }
+      return next(args);
+    };
+    return circuitBreaker ? circuitBreaker.execute(call) : call();
+  };
+
+  return registerMiddleware(middleware, {
+    services,
+    step: 'initialize',
+    priority: 'high',
+  });
+}
@@ -1,34 +1,201 @@
 import 'dotenv/config';
+import { existsSync, readFileSync } from 'fs';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { NodeHttpHandler } from '@smithy/node-http-handler';
+import { ConfigValidationError } from '../utils/error-handler.js';
+import { CONFIG_SCHEMA, ENVIRONMENTS, parseConfig } from './config-schema.js';
+
+// Credentials accepted by LocalStack and DynamoDB Local
+const LOCAL_CREDENTIALS = { accessKeyId: 'test', secretAccessKey: 'test' };
+const LOCALSTACK_ENDPOINT = 'http://localhost:4566';
+
+/**
+ * Load the configuration of the current environment
+ *
+ * Values come from, in increasing priority: schema defaults, the overlay file
+ * of APP_ENV (src/config/environments/<env>.json, default development) and
+ * environment variables. Loading never throws: every problem found is kept in
+ * `errors` and reported at once by validateConfig.
+ *
+ * Local mode (AWS_LOCAL=true) points every service to local stand-ins
+ * (LocalStack by default) and uses static dummy credentials unless
+ * AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY are set (MinIO needs its own).
+ * Endpoints can also be overridden per service without local mode.
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} Frozen { environment, aws, project, logging, errors }
+ */
+export function loadConfig(env = process.env) {
+  const environment = env.APP_ENV || 'development';
+  const errors = [];
+
+  let overlay = {};
+  if (!ENVIRONMENTS.includes(environment)) {
+    errors.push(
+      `APP_ENV must be one of ${ENVIRONMENTS.join(', ')} (got "${environment}")`
+    );
+  } else {
+    overlay = readOverlay(environment);
+  }
+
+  const sources = { ...overlay };
+  Object.keys(CONFIG_SCHEMA).forEach((key) => {
+    if (env[key] !== undefined) {
+      sources[key] = env[key];
+    }
+  });
+  const parsed = parseConfig(sources);
+  errors.push(...parsed.errors);
+  const values = parsed.values;
+
+  const sharedEndpoint =
+    values.AWS_ENDPOINT_URL ||
+    (values.AWS_LOCAL ? LOCALSTACK_ENDPOINT : undefined);
+  const s3Endpoint = values.S3_ENDPOINT || sharedEndpoint;
+
+  const aws = {
+    region: values.AWS_REGION || 'us-east-1',
+    // The SDK will automatically use AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY from environment
+    // or the profile configured in AWS_PROFILE
+    local: values.AWS_LOCAL,
+    credentials:
+      values.AWS_LOCAL && !values.AWS_ACCESS_KEY_ID
+        ? LOCAL_CREDENTIALS
+        : undefined,
+    endpoints: {
+      // e.g. http://localhost:9000 for MinIO
+      s3: s3Endpoint,
+      // e.g. http://localhost:8000 for DynamoDB Local
+      dynamodb: values.DYNAMODB_ENDPOINT || sharedEndpoint,
+    },
+    // Custom endpoints rarely support bucket subdomains, so path-style is the default there
+    s3ForcePathStyle: values.S3_FORCE_PATH_STYLE ?? Boolean(s3Endpoint),
+    client: {
+      retryMode: values.AWS_RETRY_MODE,
+      maxAttempts: values.AWS_MAX_ATTEMPTS,
+      connectionTimeout: values.AWS_CONNECTION_TIMEOUT_MS,
+      requestTimeout: values.AWS_REQUEST_TIMEOUT_MS,
+      keepAlive: values.AWS_KEEP_ALIVE,
+      maxSockets: values.AWS_MAX_SOCKETS,
+      userAgentSuffix: values.AWS_USER_AGENT_SUFFIX,
+    },
+  };
+
+  const project = {
+    s3: {
+      bucketName: values.S3_BUCKET_NAME,
+      urlExpiresIn: values.S3_URL_EXPIRES_IN,
+    },
+    dynamodb: {
+      tableName: values.DYNAMODB_TABLE_NAME,
+      linksTableName: values.DYNAMODB_LINKS_TABLE_NAME,
+      linkDurationMinutes: values.LINK_DURATION_MINUTES,
+    },
+    webhooks: {
+      secret: values.WEBHOOK_SECRET,
+    },
+  };
+
+  const logging = {
+    level: values.LOG_LEVEL,
+    format: values.LOG_FORMAT,
+    redactFields: (values.LOG_REDACT_FIELDS || '')
+      .split(',')
+      .map((field) => field.trim())
+      .filter(Boolean),
+  };
+
+  return deepFreeze({ environment, aws, project, logging, errors });
+}
+
+const loadedConfig = loadConfig();
 
 /**
  * Centralized configuration for AWS SDK
  */
-export const awsConfig = {
-  region: process.env.AWS_REGION || 'us-east-1',
-  // The SDK will automatically use AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY from environment
-  // or the profile configured in AWS_PROFILE
-};
+export const awsConfig = loadedConfig.aws;
+
+/**
+ * Options for a service client: endpoint and credentials overrides, retries,
+ * timeouts and keep-alive connections
+ * @param {string} service - 's3' or 'dynamodb'
+ * @param {Object} config - AWS configuration (default awsConfig)
+ * @returns {Object} Client constructor options
+ */
+export function getClientConfig(service, config = awsConfig) {
+  const { client } = config;
+  const agentOptions = {
+    keepAlive: client.keepAlive,
+    maxSockets: client.maxSockets,
+  };
+
+  const clientConfig = {
+    region: config.region,
+    retryMode: client.retryMode,
+    maxAttempts: client.maxAttempts,
+    // Each client gets its own agents, so maxSockets applies per service
+    requestHandler: new NodeHttpHandler({
+      connectionTimeout: client.connectionTimeout,
+      requestTimeout: client.requestTimeout,
+      httpAgent: new HttpAgent(agentOptions),
+      httpsAgent: new HttpsAgent(agentOptions),
+    }),
+  };
+  if (client.userAgentSuffix) {
+    // Appended to the SDK user agent, e.g. "my-app/1.2.0"
+    clientConfig.customUserAgent = client.userAgentSuffix;
+  }
+  if (config.endpoints[service]) {
+    clientConfig.endpoint = config.endpoints[service];
+  }
+  if (config.credentials) {
+    // Copied because the SDK may annotate the credentials it receives
+    clientConfig.credentials = { ...config.credentials };
+  }
+  if (service === 's3') {
+    clientConfig.forcePathStyle = config.s3ForcePathStyle;
+  }
+  return clientConfig;
+}
 
 /**
  * Project-specific configuration
  */
-export const projectConfig = {
-  s3: {
-    bucketName: process.env.S3_BUCKET_NAME,
-  },
-  dynamodb: {
-    tableName: process.env.DYNAMODB_TABLE_NAME,
-  },
-};
+export const projectConfig = loadedConfig.project;
 
 /**
- * Validate that required environment variables are configured
+ * Logging configuration: level, format and extra fields to redact
  */
-export function validateConfig() {
-  const required = ['AWS_REGION'];
-  const missing = required.filter((key) => !process.env[key]);
+export const loggingConfig = loadedConfig.logging;
 
-  if (missing.length > 0) {
-    throw new Error(`Missing environment variables: ${missing.join(', ')}`);
+/**
+ * Validate the configuration, reporting every problem in a single error
+ * @param {Object} env - Environment variables to check (default: the loaded configuration)
+ * @throws {ConfigValidationError} If any value is missing or invalid
+ */
+export function validateConfig(env) {
+  const { environment, errors } = env ? loadConfig(env) : loadedConfig;
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(
+      `Invalid configuration (${environment}):\n${errors
+        .map((error) => `  - ${error}`)
+        .join('\n')}`,
+      { errors, environment }
+    );
   }
 }
+
+function readOverlay(environment) {
+  const file = new URL(`./environments/${environment}.json`, import.meta.url);
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
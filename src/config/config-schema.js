@@ -0,0 +1,156 @@
+/**
+ * Schema of the environment variables read by the project
+ *
+ * Every entry has a type, which parses and validates the raw string, and
+ * optionally `required` (a boolean or a function of the other parsed values)
+ * and a `default` applied when the variable is not set anywhere.
+ */
+
+// Shape of region codes, e.g. eu-west-1, us-gov-west-1 or us-isob-east-1.
+// A pattern rather than a list, so regions launched later are accepted.
+export const AWS_REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]?)?-[a-z]+-\d$/;
+
+export const ENVIRONMENTS = ['development', 'staging', 'production'];
+
+/**
+ * Parsers by type. Each returns the parsed value or throws with the reason.
+ */
+const TYPES = {
+  string: (value) => value,
+  enum: (value, entry) => {
+    if (!entry.values.includes(value)) {
+      throw new Error(`must be one of ${entry.values.join(', ')}`);
+    }
+    return value;
+  },
+  boolean: (value) => {
+    if (!['true', 'false'].includes(value)) {
+      throw new Error('must be "true" or "false"');
+    }
+    return value === 'true';
+  },
+  positiveInteger: (value) => {
+    if (!/^\d+$/.test(value) || Number(value) <= 0) {
+      throw new Error('must be a positive integer');
+    }
+    return Number(value);
+  },
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error('must be an http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('must be an http(s) URL');
+    }
+    return value;
+  },
+  region: (value) => {
+    if (!AWS_REGION_PATTERN.test(value)) {
+      throw new Error(`"${value}" is not a valid AWS region`);
+    }
+    return value;
+  },
+  bucketName: (value) => {
+    // https://docs.aws.amazon.com/AmazonS3/latest/userguide/bucketnamingrules.html
+    if (
+      !/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(value) ||
+      value.includes('..') ||
+      /^\d+\.\d+\.\d+\.\d+$/.test(value) ||
+      value.startsWith('xn--') ||
+      value.endsWith('-s3alias')
+    ) {
+      throw new Error(`"${value}" is not a valid S3 bucket name`);
+    }
+    return value;
+  },
+  tableName: (value) => {
+    if (!/^[a-zA-Z0-9_.-]{3,255}$/.test(value)) {
+      throw new Error(`"${value}" is not a valid DynamoDB table name`);
+    }
+    return value;
+  },
+};
+
+export const CONFIG_SCHEMA = {
+  // Local stand-ins do not care about the region
+  AWS_REGION: { type: 'region', required: (config) => !config.AWS_LOCAL },
+  AWS_ACCESS_KEY_ID: { type: 'string' },
+  AWS_SECRET_ACCESS_KEY: { type: 'string' },
+  AWS_LOCAL: { type: 'boolean', default: false },
+  AWS_ENDPOINT_URL: { type: 'url' },
+  S3_ENDPOINT: { type: 'url' },
+  DYNAMODB_ENDPOINT: { type: 'url' },
+  S3_FORCE_PATH_STYLE: { type: 'boolean' },
+  // Shared client tuning; timeouts are disabled when not set, as in the SDK
+  AWS_RETRY_MODE: {
+    type: 'enum',
+    values: ['standard', 'adaptive'],
+    default: 'standard',
+  },
+  AWS_MAX_ATTEMPTS: { type: 'positiveInteger', default: 3 },
+  AWS_CONNECTION_TIMEOUT_MS: { type: 'positiveInteger' },
+  AWS_REQUEST_TIMEOUT_MS: { type: 'positiveInteger' },
+  AWS_KEEP_ALIVE: { type: 'boolean', default: true },
+  AWS_MAX_SOCKETS: { type: 'positiveInteger', default: 50 },
+  AWS_USER_AGENT_SUFFIX: { type: 'string' },
+  S3_BUCKET_NAME: { type: 'bucketName', required: true },
+  S3_URL_EXPIRES_IN: { type: 'positiveInteger', default: 3600 },
+  DYNAMODB_TABLE_NAME: { type: 'tableName', required: true },
+  DYNAMODB_LINKS_TABLE_NAME: { type: 'tableName' },
+  LINK_DURATION_MINUTES: { type: 'positiveInteger', default: 30 },
+  WEBHOOK_SECRET: { type: 'string' },
+  LOG_LEVEL: {
+    type: 'enum',
+    values: ['debug', 'info', 'warn', 'error', 'silent'],
+    default: 'info',
+  },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: 'json' },
+  // Comma-separated field names redacted from logs, besides the built-in ones
+  LOG_REDACT_FIELDS: { type: 'string' },
+};
+
+/**
+ * Parse and check every schema key
+ * @param {Object} sources - Raw values by key, already merged
+ * @returns {Object} { values, errors } with one message per problem
+ */
+export function parseConfig(sources) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, entry]) => {
+    const raw = sources[key];
+    if (raw === undefined || raw === '') {
+      values[key] = entry.default;
+      return;
+    }
+    try {
+      values[key] = TYPES[entry.type](String(raw), entry);
+    } catch (error) {
+      errors.push(`${key} ${error.message}`);
+    }
+  });
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, entry]) => {
+    const required =
+      typeof entry.required === 'function'
+        ? entry.required(values)
+        : entry.required;
+    if (required && (sources[key] === undefined || sources[key] === '')) {
+      errors.push(`${key} is required`);
+    }
+  });
+
+  if (
+    Boolean(values.AWS_ACCESS_KEY_ID) !== Boolean(values.AWS_SECRET_ACCESS_KEY)
+  ) {
+    errors.push(
+      'AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY must be set together'
+    );
+  }
+
+  return { values, errors };
+}
@@ -4,19 +4,54 @@
  */
 
 import * as s3Service from '../services/s3-service.js';
-import { extractErrorInfo } from '../utils/error-handler.js';
+import * as downloadLinkService from '../services/download-link-service.js';
+import * as webhookService from '../services/webhook-service.js';
+import { projectConfig } from '../config/aws-config.js';
+import { getLogger } from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+const logger = getLogger({ example: 'signed-urls-advanced' });
 
 /**
  * Example 1: Temporary download system for users
- * Useful for allowing users to download files for a limited time
+ * Useful for allowing users to download files for a limited time.
+ * When DYNAMODB_LINKS_TABLE_NAME is configured the link is saved in the
+ * registry and shared as a token that can be revoked.
  */
 export async function createTemporaryDownloadLink(
   bucketName,
   fileKey,
   userEmail,
-  durationMinutes = 30
+  durationMinutes = 30,
+  purpose = 'download'
 ) {
   try {
+    if (projectConfig.dynamodb.linksTableName) {
+      const link = await downloadLinkService.createDownloadLink({
+        bucketName,
+        fileKey,
+        userId: userEmail,
+        purpose,
+        durationMinutes,
+      });
+
+      const linkInfo = {
+        user: userEmail,
+        fileKey,
+        token: link.token,
+        purpose,
+        expiresAt: new Date(link.expiresAt),
+        createdAt: new Date(link.createdAt),
+      };
+
+      logger.info(`✅ Temporary link registered for ${userEmail}:`);
+      logger.info(`📁 File: ${fileKey}`);
+      logger.info(`⏰ Expires in: ${durationMinutes} minutes`);
+      logger.info('🎟️ Token issued', { token: link.token });
+
+      return linkInfo;
+    }
+
     const expiresIn = durationMinutes * 60; // Convert to seconds
     const downloadUrl = await s3Service.getDownloadSignedUrl(
       bucketName,
@@ -24,7 +59,7 @@ export async function createTemporaryDownloadLink(
       expiresIn
     );
 
-    // Here you could save the link in your database with user information
+    // Without a registry table the signed URL is shared directly and cannot be revoked
     const linkInfo = {
       user: userEmail,
       fileKey,
@@ -33,21 +68,22 @@ export async function createTemporaryDownloadLink(
       createdAt: new Date(),
     };
 
-    console.log(`✅ Temporary link created for ${userEmail}:`);
-    console.log(`📁 File: ${fileKey}`);
-    console.log(`⏰ Expires in: ${durationMinutes} minutes`);
-    console.log(`🔗 URL: ${downloadUrl}`);
+    logger.info(`✅ Temporary link created for ${userEmail}:`);
+    logger.info(`📁 File: ${fileKey}`);
+    logger.info(`⏰ Expires in: ${durationMinutes} minutes`);
+    logger.info(`🔗 URL: ${downloadUrl}`);
 
     return linkInfo;
   } catch (error) {
-    console.error('Error creating temporary link:', extractErrorInfo(error));
+    logger.error('Error creating temporary link', { error });
     throw error;
   }
 }
 
 /**
  * Example 2: Direct upload from frontend with validations
- * Useful for upload forms without going through your server
+ * Useful for upload forms without going through your server.
+ * Uses a presigned POST so S3 rejects files that break the restrictions.
  */
 export async function createUploadLinkWithValidation(
   bucketName,
@@ -59,16 +95,18 @@ export async function createUploadLinkWithValidation(
     const fileKey = `uploads/${Date.now()}-${fileName}`;
     const expiresIn = 300; // 5 minutes for upload
 
-    // Generate URL with restrictions
-    const uploadUrl = await s3Service.getUploadSignedUrl(
-      bucketName,
-      fileKey,
-      fileType,
-      expiresIn
-    );
+    // Generate a POST policy with restrictions enforced by S3
+    const presignedPost = await s3Service.getUploadPresignedPost(bucketName, {
+      key: fileKey,
+      keyPrefix: 'uploads/',
+      contentType: fileType,
+      maxSizeBytes,
+      expiresIn,
+    });
 
     const uploadInfo = {
-      uploadUrl,
+      uploadUrl: presignedPost.url,
+      fields: presignedPost.fields,
       fileKey,
       restrictions: {
         maxSize: maxSizeBytes,
@@ -76,95 +114,176 @@ export async function createUploadLinkWithValidation(
         expiresIn: expiresIn,
       },
       instructions: {
-        method: 'PUT',
-        headers: {
-          'Content-Type': fileType,
-        },
+        method: 'POST',
+        encoding: 'multipart/form-data',
+        // S3 ignores any form field that comes after the file
+        note: 'Append every field first and the file last',
       },
     };
 
-    console.log(`✅ Upload URL generated:`);
-    console.log(`📁 File: ${fileName} -> ${fileKey}`);
-    console.log(
-      `📏 Max size: ${Math.round(maxSizeBytes / 1024 / 1024)}MB`
+    logger.info(`✅ Upload form generated:`);
+    logger.info(`📁 File: ${fileName} -> ${fileKey}`);
+    logger.info(
+      `📏 Max size: ${Math.round(maxSizeBytes / 1024 / 1024)}MB (enforced by S3)`
     );
-    console.log(`⏰ Valid for: ${expiresIn / 60} minutes`);
+    logger.info(`⏰ Valid for: ${expiresIn / 60} minutes`);
 
     return uploadInfo;
   } catch (error) {
-    console.error('Error creating upload URL:', extractErrorInfo(error));
+    logger.error('Error creating upload URL', { error });
     throw error;
   }
 }
 
 /**
  * Example 3: Image gallery with signed URLs
- * Useful for displaying private images in a web gallery
+ * Useful for displaying private images in a web gallery.
+ * Only images that exist are included; when a thumbnail is missing the
+ * full-size image is used instead. Without imageKeys, images are discovered
+ * under options.prefix and returned one page at a time.
  */
 export async function createImageGalleryUrls(
   bucketName,
-  imageKeys,
+  imageKeys = null,
   thumbnailDuration = 60,
-  fullSizeDuration = 300
+  fullSizeDuration = 300,
+  options = {}
 ) {
-  try {
-    const gallery = {};
+  const {
+    prefix = 'images/',
+    thumbnailPrefix = 'thumbnails/',
+    pageSize = 20,
+    pageToken,
+    concurrency = 5,
+  } = options;
 
-    for (const imageKey of imageKeys) {
-      const thumbnailKey = `thumbnails/${imageKey}`;
-      const fullSizeKey = `images/${imageKey}`;
+  try {
+    // Image names of this page, relative to the prefixes
+    let imageNames;
+    let nextPageToken = null;
+    if (imageKeys) {
+      const start = pageToken ? imageKeys.indexOf(pageToken) + 1 : 0;
+      if (pageToken && start === 0) {
+        throw new Error(`Unknown page token: ${pageToken}`);
+      }
+      imageNames = imageKeys.slice(start, start + pageSize);
+      if (start + pageSize < imageKeys.length) {
+        nextPageToken = imageNames[imageNames.length - 1];
+      }
+    } else {
+      // One extra key tells whether another page exists
+      const listedKeys = [];
+      for await (const entry of s3Service.listObjects(bucketName, {
+        prefix,
+        startAfter: pageToken ? `${prefix}${pageToken}` : undefined,
+        maxItems: pageSize + 1,
+      })) {
+        listedKeys.push(entry.key);
+      }
+      const pageKeys = listedKeys.slice(0, pageSize);
+
+      // Folder markers use up a slot of the page but are not images
+      imageNames = pageKeys
+        .filter((key) => !key.endsWith('/'))
+        .map((key) => key.slice(prefix.length));
+      if (listedKeys.length > pageSize) {
+        nextPageToken = pageKeys[pageKeys.length - 1].slice(prefix.length);
+      }
+    }
 
-      // URLs for thumbnails (short duration)
-      const thumbnailUrl = await s3Service.getDownloadSignedUrl(
+    const signVariant = async (info, expiresIn, isFallback) => ({
+      key: info.key,
+      url: await s3Service.getDownloadSignedUrl(
         bucketName,
-        thumbnailKey,
-        thumbnailDuration
-      );
+        info.key,
+        expiresIn
+      ),
+      expiresIn,
+      size: info.size,
+      contentType: info.contentType,
+      lastModified: info.lastModified,
+      isFallback,
+    });
 
-      // URLs for full-size images (longer duration)
-      const fullSizeUrl = await s3Service.getDownloadSignedUrl(
-        bucketName,
-        fullSizeKey,
-        fullSizeDuration
-      );
+    const entries = await mapWithConcurrency(
+      imageNames,
+      concurrency,
+      async (imageName) => {
+        const [fullSizeInfo, thumbnailInfo] = await Promise.all([
+          s3Service.getObjectInfo(bucketName, `${prefix}${imageName}`),
+          s3Service.getObjectInfo(bucketName, `${thumbnailPrefix}${imageName}`),
+        ]);
+
+        if (!fullSizeInfo) {
+          return { name: imageName, missing: true };
+        }
+
+        return {
+          name: imageName,
+          // URLs for thumbnails (short duration), or the full image if there is none
+          thumbnail: thumbnailInfo
+            ? await signVariant(thumbnailInfo, thumbnailDuration, false)
+            : await signVariant(fullSizeInfo, thumbnailDuration, true),
+          // URLs for full-size images (longer duration)
+          fullSize: await signVariant(fullSizeInfo, fullSizeDuration, false),
+        };
+      }
+    );
 
-      gallery[imageKey] = {
-        thumbnail: {
-          url: thumbnailUrl,
-          expiresIn: thumbnailDuration,
-        },
-        fullSize: {
-          url: fullSizeUrl,
-          expiresIn: fullSizeDuration,
-        },
-      };
-    }
+    const gallery = {
+      items: entries.filter((entry) => !entry.missing),
+      missing: entries
+        .filter((entry) => entry.missing)
+        .map((entry) => entry.name),
+      pageSize,
+      nextPageToken,
+      generatedAt: new Date().toISOString(),
+    };
 
-    console.log(`✅ Gallery of ${imageKeys.length} images generated`);
-    console.log(`🖼️ Thumbnails valid for: ${thumbnailDuration / 60} minutes`);
-    console.log(
+    logger.info(`✅ Gallery of ${gallery.items.length} images generated`);
+    if (gallery.missing.length > 0) {
+      logger.info(`⚠️ Skipped missing images: ${gallery.missing.join(', ')}`);
+    }
+    logger.info(`🖼️ Thumbnails valid for: ${thumbnailDuration / 60} minutes`);
+    logger.info(
       `📸 Full images valid for: ${fullSizeDuration / 60} minutes`
     );
 
     return gallery;
   } catch (error) {
-    console.error('Error creating gallery:', extractErrorInfo(error));
+    logger.error('Error creating gallery', { error });
     throw error;
   }
 }
 
 /**
  * Example 4: Bulk download system with compression
- * Useful for allowing download of multiple files
+ * Useful for allowing download of multiple files, either one URL per file
+ * or a single ZIP bundle built in S3 (options.zip). Objects are checked
+ * with at most options.concurrency HeadObject calls at a time (default 5).
  */
 export async function createBulkDownloadUrls(
   bucketName,
   fileKeys,
   groupName = 'download',
-  durationHours = 2
+  durationHours = 2,
+  options = {}
 ) {
   try {
     const expiresIn = durationHours * 3600; // Convert to seconds
+
+    // Real sizes come from HeadObject, without downloading anything
+    const fileInfos = await mapWithConcurrency(
+      fileKeys,
+      options.concurrency || 5,
+      (fileKey) => s3Service.getObjectInfo(bucketName, fileKey)
+    );
+    const missingKeys = fileKeys.filter((_key, index) => !fileInfos[index]);
+    if (missingKeys.length > 0) {
+      throw new Error(`Files not found: ${missingKeys.join(', ')}`);
+    }
+    const totalSize = fileInfos.reduce((total, info) => total + info.size, 0);
+
     const bulkDownload = {
       groupName,
       createdAt: new Date(),
@@ -172,49 +291,88 @@ export async function createBulkDownloadUrls(
       files: {},
       summary: {
         totalFiles: fileKeys.length,
-        estimatedSize: 'Calculating...',
+        totalSize,
       },
     };
 
+    if (options.zip) {
+      // Stream every file into one archive and sign a single URL for it
+      const archiveKey = `bundles/${Date.now()}-${groupName}.zip`;
+      const archive = await s3Service.createZipArchive(
+        bucketName,
+        fileKeys,
+        archiveKey,
+        { files: fileInfos }
+      );
+      const downloadUrl = await s3Service.getDownloadSignedUrl(
+        bucketName,
+        archiveKey,
+        expiresIn
+      );
+
+      bulkDownload.bundle = {
+        key: archiveKey,
+        downloadUrl,
+        fileName: `${groupName}.zip`,
+        size: archive.archiveSize,
+      };
+      fileInfos.forEach((info) => {
+        bulkDownload.files[info.key] = {
+          fileName: info.key.split('/').pop(),
+          size: info.size,
+        };
+      });
+
+      logger.info(`✅ ZIP bundle prepared: ${groupName}`);
+      logger.info(`📦 ${fileKeys.length} files in ${archiveKey}`);
+      logger.info(`⏰ URL valid for: ${durationHours} hours`);
+
+      return bulkDownload;
+    }
+
     // Generate URLs in parallel for better performance
-    const urlPromises = fileKeys.map(async (fileKey) => {
+    const urlPromises = fileInfos.map(async (info) => {
       const downloadUrl = await s3Service.getDownloadSignedUrl(
         bucketName,
-        fileKey,
+        info.key,
         expiresIn
       );
-      return { fileKey, downloadUrl };
+      return { info, downloadUrl };
     });
 
     const results = await Promise.all(urlPromises);
 
-    results.forEach(({ fileKey, downloadUrl }) => {
-      bulkDownload.files[fileKey] = {
+    results.forEach(({ info, downloadUrl }) => {
+      bulkDownload.files[info.key] = {
         downloadUrl,
-        fileName: fileKey.split('/').pop(), // Extract file name
+        fileName: info.key.split('/').pop(), // Extract file name
+        size: info.size,
       };
     });
 
-    console.log(`✅ Bulk download prepared: ${groupName}`);
-    console.log(`📦 ${fileKeys.length} files included`);
-    console.log(`⏰ URLs valid for: ${durationHours} hours`);
+    logger.info(`✅ Bulk download prepared: ${groupName}`);
+    logger.info(`📦 ${fileKeys.length} files included`);
+    logger.info(`⏰ URLs valid for: ${durationHours} hours`);
 
     return bulkDownload;
   } catch (error) {
-    console.error('Error creating bulk download:', extractErrorInfo(error));
+    logger.error('Error creating bulk download', { error });
     throw error;
   }
 }
 
 /**
  * Example 5: External API integration
- * Useful for sharing files with third-party services
+ * Useful for sharing files with third-party services.
+ * If a webhook is given, the integration payload is POSTed to it signed
+ * with HMAC-SHA256 (see webhook-service.js to verify it on the other side).
  */
 export async function createAPIIntegrationUrl(
   bucketName,
   fileKey,
   apiName,
-  webhookUrl = null
+  webhookUrl = null,
+  webhookOptions = {}
 ) {
   try {
     const expiresIn = 1800; // 30 minutes for APIs
@@ -237,17 +395,26 @@ export async function createAPIIntegrationUrl(
       },
     };
 
-    console.log(`✅ Integration URL generated for: ${apiName}`);
-    console.log(`📁 File: ${fileKey}`);
-    console.log(`⏰ Valid for: 30 minutes`);
+    logger.info(`✅ Integration URL generated for: ${apiName}`);
+    logger.info(`📁 File: ${fileKey}`);
+    logger.info(`⏰ Valid for: 30 minutes`);
 
     if (webhookUrl) {
-      console.log(`🔔 Webhook configured: ${webhookUrl}`);
+      const delivery = await webhookService.deliverWebhook(
+        webhookUrl,
+        integration,
+        { secret: projectConfig.webhooks.secret, ...webhookOptions }
+      );
+      integration.webhookDelivery = delivery;
+
+      logger.info(
+        `🔔 Webhook ${delivery.status}: ${webhookUrl} (${delivery.attempts.length} attempts)`
+      );
     }
 
     return integration;
   } catch (error) {
-    console.error('Error creating integration URL:', extractErrorInfo(error));
+    logger.error('Error creating integration URL', { error });
     throw error;
   }
 }
@@ -259,11 +426,11 @@ export async function demonstrateAdvancedSignedUrls() {
   const bucketName = process.env.S3_BUCKET_NAME;
 
   if (!bucketName) {
-    console.log('⚠️ S3_BUCKET_NAME not configured for advanced examples');
+    logger.info('⚠️ S3_BUCKET_NAME not configured for advanced examples');
     return;
   }
 
-  console.log('\n🚀 Demonstrating advanced signed URL use cases:\n');
+  logger.info('\n🚀 Demonstrating advanced signed URL use cases:\n');
 
   try {
     // Upload example files
@@ -287,18 +454,39 @@ export async function demonstrateAdvancedSignedUrls() {
     );
 
     // Example 1: Temporary link
-    console.log('1️⃣ Temporary link for user:');
-    await createTemporaryDownloadLink(
+    logger.info('1️⃣ Temporary link for user:');
+    const temporaryLink = await createTemporaryDownloadLink(
       bucketName,
       'documents/report.pdf',
       'user@example.com',
       15
     );
 
-    console.log('\n' + '─'.repeat(50) + '\n');
+    if (temporaryLink.token) {
+      const resolved = await downloadLinkService.resolveDownloadLink(
+        temporaryLink.token
+      );
+      logger.info('🔗 Token resolved to a 60 second URL', {
+        resolved: !!resolved,
+      });
+
+      const activeLinks =
+        await downloadLinkService.listActiveLinks('user@example.com');
+      logger.info(`📋 Active links for user: ${activeLinks.length}`);
+
+      await downloadLinkService.revokeDownloadLink(temporaryLink.token);
+      const afterRevoke = await downloadLinkService.resolveDownloadLink(
+        temporaryLink.token
+      );
+      logger.info('🚫 Token usable after revoking', {
+        usable: !!afterRevoke,
+      });
+    }
+
+    logger.info('\n' + '─'.repeat(50) + '\n');
 
     // Example 2: Direct upload
-    console.log('2️⃣ Direct upload URL:');
+    logger.info('2️⃣ Direct upload URL:');
     await createUploadLinkWithValidation(
       bucketName,
       'nuevo-documento.pdf',
@@ -306,10 +494,10 @@ export async function demonstrateAdvancedSignedUrls() {
       2 * 1024 * 1024
     );
 
-    console.log('\n' + '─'.repeat(50) + '\n');
+    logger.info('\n' + '─'.repeat(50) + '\n');
 
     // Example 3: Image gallery
-    console.log('3️⃣ Image gallery:');
+    logger.info('3️⃣ Image gallery:');
     await createImageGalleryUrls(
       bucketName,
       ['photo1.jpg', 'photo2.jpg'],
@@ -317,10 +505,16 @@ export async function demonstrateAdvancedSignedUrls() {
       600
     );
 
-    console.log('\n' + '─'.repeat(50) + '\n');
+    logger.info('\n3️⃣ Image gallery discovered by prefix:');
+    await createImageGalleryUrls(bucketName, null, 120, 600, {
+      prefix: 'images/',
+      pageSize: 10,
+    });
+
+    logger.info('\n' + '─'.repeat(50) + '\n');
 
     // Example 4: Bulk download
-    console.log('4️⃣ Bulk download:');
+    logger.info('4️⃣ Bulk download:');
     await createBulkDownloadUrls(
       bucketName,
       ['documents/report.pdf', 'images/photo1.jpg', 'images/photo2.jpg'],
@@ -328,24 +522,35 @@ export async function demonstrateAdvancedSignedUrls() {
       1
     );
 
-    console.log('\n' + '─'.repeat(50) + '\n');
+    logger.info('\n4️⃣ Bulk download as a single ZIP:');
+    const zipDownload = await createBulkDownloadUrls(
+      bucketName,
+      ['documents/report.pdf', 'images/photo1.jpg', 'images/photo2.jpg'],
+      'MyFiles',
+      1,
+      { zip: true }
+    );
+
+    logger.info('\n' + '─'.repeat(50) + '\n');
 
     // Example 5: API integration
-    console.log('5️⃣ External API integration:');
+    logger.info('5️⃣ External API integration:');
     await createAPIIntegrationUrl(
       bucketName,
       'documents/report.pdf',
       'ProcessingAPI',
-      'https://api.example.com/webhook'
+      projectConfig.webhooks.secret ? 'https://api.example.com/webhook' : null,
+      { maxAttempts: 2 }
     );
 
     // Clean up example files
-    console.log('\n🧹 Cleaning up example files...');
+    logger.info('\n🧹 Cleaning up example files...');
     await s3Service.deleteObject(bucketName, 'documents/report.pdf');
     await s3Service.deleteObject(bucketName, 'images/photo1.jpg');
     await s3Service.deleteObject(bucketName, 'images/photo2.jpg');
-    console.log('✅ Cleanup completed');
+    await s3Service.deleteObject(bucketName, zipDownload.bundle.key);
+    logger.info('✅ Cleanup completed');
   } catch (error) {
-    console.error('Error in advanced examples:', extractErrorInfo(error));
+    logger.error('Error in advanced examples', { error });
   }
 }
@@ -1,9 +1,12 @@
 import { validateConfig } from './config/aws-config.js';
 import * as s3Service from './services/s3-service.js';
 import * as dynamoService from './services/dynamodb-service.js';
-import { extractErrorInfo, withRetry } from './utils/error-handler.js';
+import { withRetry } from './utils/error-handler.js';
+import { getLogger } from './utils/logger.js';
 import { demonstrateAdvancedSignedUrls } from './examples/signed-urls-advanced.js';
 
+const logger = getLogger({ example: 'main' });
+
 /**
  * Main demonstration function
  */
@@ -11,21 +14,21 @@ async function main() {
   try {
     // Validate configuration
     validateConfig();
-    console.log('✅ AWS configuration validated');
+    logger.info('✅ AWS configuration validated');
 
     // S3 example
-    console.log('\n📦 S3 examples:');
+    logger.info('\n📦 S3 examples:');
     await demonstrateS3();
 
     // DynamoDB example
-    console.log('\n🗄️ DynamoDB examples:');
+    logger.info('\n🗄️ DynamoDB examples:');
     await demonstrateDynamoDB();
 
     // Advanced signed URL examples
-    console.log('\n🎯 Advanced signed URL examples:');
+    logger.info('\n🎯 Advanced signed URL examples:');
     await demonstrateAdvancedSignedUrls();
   } catch (error) {
-    console.error('❌ Application error:', extractErrorInfo(error));
+    logger.error('❌ Application error', { error });
     process.exit(1);
   }
 }
@@ -37,11 +40,11 @@ async function demonstrateS3() {
   try {
     // List buckets
     const buckets = await withRetry(() => s3Service.listBuckets());
-    console.log('Available buckets:', buckets?.length || 0);
+    logger.info('Available buckets', { count: buckets?.length || 0 });
 
     if (buckets && buckets.length > 0) {
       buckets.forEach((bucket) => {
-        console.log(`  - ${bucket.Name} (created: ${bucket.CreationDate})`);
+        logger.info(`  - ${bucket.Name} (created: ${bucket.CreationDate})`);
       });
     }
 
@@ -51,27 +54,29 @@ async function demonstrateS3() {
         const testKey = 'test-file.txt';
         const testContent = 'Hello from AWS SDK v3!';
 
-        console.log(`\nUploading file to ${bucketName}/${testKey}...`);
+        logger.info(`\nUploading file to ${bucketName}/${testKey}...`);
         await s3Service.uploadObject(bucketName, testKey, testContent);
-        console.log('✅ File uploaded successfully');
+        logger.info('✅ File uploaded successfully');
 
-        console.log('Downloading file...');
+        logger.info('Downloading file...');
         const downloaded = await s3Service.downloadObject(bucketName, testKey);
-        console.log('Downloaded content:', downloaded.content);
-        console.log('Metadata:', downloaded.metadata);
-        console.log('Content type:', downloaded.contentType);
+        logger.info('Downloaded file', {
+          content: downloaded.content,
+          metadata: downloaded.metadata,
+          contentType: downloaded.contentType,
+        });
 
-        console.log(`\nDeleting file ${bucketName}/${testKey}...`);
+        logger.info(`\nDeleting file ${bucketName}/${testKey}...`);
         await s3Service.deleteObject(bucketName, testKey);
-        console.log('✅ File deleted successfully');
+        logger.info('✅ File deleted successfully');
       }
     }
 
     // Signed URLs examples
-    console.log('\n🔗 Signed URLs examples:');
+    logger.info('\n🔗 Signed URLs examples:');
     await demonstrateSignedUrls();
   } catch (error) {
-    console.error('Error in S3 demonstration:', extractErrorInfo(error));
+    logger.error('Error in S3 demonstration', { error });
   }
 }
 
@@ -82,7 +87,7 @@ async function demonstrateSignedUrls() {
   try {
     const bucketName = process.env.S3_BUCKET_NAME;
     if (!bucketName) {
-      console.log(
+      logger.info(
         '⚠️ S3_BUCKET_NAME not configured, skipping signed URL examples'
       );
       return;
@@ -92,33 +97,33 @@ async function demonstrateSignedUrls() {
     const testContent = 'This file was created to demonstrate signed URLs';
 
     // 1. Upload a file to generate download URLs
-    console.log(
+    logger.info(
       `Uploading file ${testKey} for signed URL examples...`
     );
     await s3Service.uploadObject(bucketName, testKey, testContent);
 
     // 2. Generate signed URL for download (valid for 1 hour)
-    console.log('\n🔽 Generating signed URL for download (1 hour):');
+    logger.info('\n🔽 Generating signed URL for download (1 hour):');
     const downloadUrl = await s3Service.getDownloadSignedUrl(
       bucketName,
       testKey,
       3600
     );
-    console.log('Download URL:', downloadUrl);
-    console.log('⏰ This URL expires in 1 hour');
+    logger.info('Download URL', { url: downloadUrl });
+    logger.info('⏰ This URL expires in 1 hour');
 
     // 3. Generate signed URL for download (valid for 5 minutes)
-    console.log('\n🔽 Generating signed URL for download (5 minutes):');
+    logger.info('\n🔽 Generating signed URL for download (5 minutes):');
     const shortDownloadUrl = await s3Service.getDownloadSignedUrl(
       bucketName,
       testKey,
       300
     );
-    console.log('Download URL (short duration):', shortDownloadUrl);
-    console.log('⏰ This URL expires in 5 minutes');
+    logger.info('Download URL (short duration)', { url: shortDownloadUrl });
+    logger.info('⏰ This URL expires in 5 minutes');
 
     // 4. Generate signed URL for upload
-    console.log('\n🔼 Generating signed URL for upload:');
+    logger.info('\n🔼 Generating signed URL for upload:');
     const uploadKey = 'uploaded-via-signed-url.txt';
     const uploadUrl = await s3Service.getUploadSignedUrl(
       bucketName,
@@ -126,12 +131,12 @@ async function demonstrateSignedUrls() {
       'text/plain',
       3600
     );
-    console.log('Upload URL:', uploadUrl);
-    console.log(
+    logger.info('Upload URL', { url: uploadUrl });
+    logger.info(
       '📝 You can use this URL to upload files directly from the frontend'
     );
-    console.log('📋 Usage example with fetch:');
-    console.log(`
+    logger.info('📋 Usage example with fetch:');
+    logger.info(`
       fetch('${uploadUrl}', {
         method: 'PUT',
         body: 'File content',
@@ -146,7 +151,7 @@ async function demonstrateSignedUrls() {
     `);
 
     // 5. Generate multiple signed URLs
-    console.log('\n📦 Generating multiple signed URLs:');
+    logger.info('\n📦 Generating multiple signed URLs:');
     const keys = [testKey, 'another-file.txt', 'image.jpg'];
 
     // First upload some additional files for the example
@@ -167,33 +172,30 @@ async function demonstrateSignedUrls() {
       keys,
       1800
     ); // 30 minutes
-    console.log('Multiple URLs generated:');
+    logger.info('Multiple URLs generated:');
     Object.entries(multipleUrls).forEach(([key, url]) => {
-      console.log(`  📄 ${key}: ${url}`);
+      logger.info(`  📄 ${key}: ${url}`);
     });
 
     // 6. Clean up example files
-    console.log('\n🧹 Cleaning up example files...');
+    logger.info('\n🧹 Cleaning up example files...');
     await s3Service.deleteObject(bucketName, testKey);
     await s3Service.deleteObject(bucketName, 'another-file.txt');
     await s3Service.deleteObject(bucketName, 'image.jpg');
-    console.log('✅ Example files deleted');
+    logger.info('✅ Example files deleted');
 
-    console.log('\n💡 Common use cases for signed URLs:');
-    console.log('  • Allow temporary download of private files');
-    console.log(
+    logger.info('\n💡 Common use cases for signed URLs:');
+    logger.info('  • Allow temporary download of private files');
+    logger.info(
       '  • Direct upload from frontend without exposing AWS credentials'
     );
-    console.log(
+    logger.info(
       '  • Share files with external users for limited time'
     );
-    console.log('  • Integration with third-party applications');
-    console.log('  • Granular temporary access control to resources');
+    logger.info('  • Integration with third-party applications');
+    logger.info('  • Granular temporary access control to resources');
   } catch (error) {
-    console.error(
-      'Error in signed URLs demonstration:',
-      extractErrorInfo(error)
-    );
+    logger.error('Error in signed URLs demonstration', { error });
   }
 }
 
@@ -205,7 +207,7 @@ async function demonstrateDynamoDB() {
   try {
     const tableName = process.env.DYNAMODB_TABLE_NAME;
     if (!tableName) {
-      console.log(
+      logger.info(
         '⚠️ DYNAMODB_TABLE_NAME not configured, skipping DynamoDB examples'
       );
       return;
@@ -218,38 +220,38 @@ async function demonstrateDynamoDB() {
       timestamp: new Date().toISOString(),
     };
 
-    console.log('Saving item to DynamoDB...');
+    logger.info('Saving item to DynamoDB...');
     await dynamoService.putItem(tableName, testItem);
-    console.log('✅ Item saved:', testItem.id);
+    logger.info('✅ Item saved', { id: testItem.id });
 
     // Example of getting the item
-    console.log('Getting item...');
+    logger.info('Getting item...');
     const retrievedItem = await dynamoService.getItem(tableName, {
       id: testItem.id,
     });
-    console.log('Retrieved item:', retrievedItem);
+    logger.info('Retrieved item', { item: retrievedItem });
 
     // Example of scanning table
-    console.log('Scanning table...');
+    logger.info('Scanning table...');
     const scanResult = await dynamoService.scanTable(tableName, 5);
-    console.log(`Found ${scanResult.count} items`);
+    logger.info(`Found ${scanResult.count} items`);
 
     // Example of deleting the item
-    console.log('Deleting item...');
+    logger.info('Deleting item...');
     await dynamoService.deleteItem(tableName, { id: testItem.id });
-    console.log('✅ Item deleted:', testItem.id);
+    logger.info('✅ Item deleted', { id: testItem.id });
 
     // Verify that the item was deleted
     const deletedItem = await dynamoService.getItem(tableName, {
       id: testItem.id,
     });
     if (!deletedItem) {
-      console.log('✅ Item deleted correctly, not found in table');
+      logger.info('✅ Item deleted correctly, not found in table');
     } else {
-      console.error('⚠️ Item still exists in table:', deletedItem);
+      logger.warn('⚠️ Item still exists in table', { item: deletedItem });
     }
   } catch (error) {
-    console.error('Error in DynamoDB demonstration:', extractErrorInfo(error));
+    logger.error('Error in DynamoDB demonstration', { error });
   }
 }
 
@@ -0,0 +1,396 @@
+import * as dynamoService from '../services/dynamodb-service.js';
+import { EntityValidationError } from '../utils/error-handler.js';
+
+/**
+ * Entity models on top of dynamodb-service
+ *
+ * An entity declares its attributes and how its keys are built, so several
+ * entity types can share one table (single-table design):
+ *
+ *   const User = defineEntity({
+ *     name: 'User',
+ *     tableName: 'app-table',
+ *     attributes: {
+ *       userId: { type: 'string', required: true },
+ *       email: { type: 'string', required: true },
+ *       status: { type: 'string', default: 'active' },
+ *     },
+ *     keys: { pk: 'USER#{userId}', sk: 'PROFILE' },
+ *     indexes: {
+ *       byEmail: { indexName: 'GSI1', keys: { gsi1pk: 'EMAIL#{email}', gsi1sk: 'USER' } },
+ *     },
+ *     timestamps: true,
+ *   });
+ *
+ *   await User.create({ userId: '1', email: 'ana@example.com' });
+ *   const user = await User.get({ userId: '1' });
+ */
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  boolean: (value) => typeof value === 'boolean',
+  map: (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value),
+  list: (value) => Array.isArray(value),
+  set: (value) => value instanceof Set,
+  date: (value) =>
+    (value instanceof Date && !Number.isNaN(value.getTime())) ||
+    (typeof value === 'string' && !Number.isNaN(Date.parse(value))),
+};
+
+const ENTITY_TYPE_ATTRIBUTE = 'entityType';
+
+/**
+ * Define an entity model
+ * @param {Object} definition - Entity definition
+ * @param {string} definition.name - Entity name, stored in every item as entityType
+ * @param {string} definition.tableName - Table name
+ * @param {Object} definition.attributes - { name: { type, required, default } }
+ * @param {Object} definition.keys - Table key attributes and their templates
+ * @param {Object} definition.indexes - { alias: { indexName, keys } } for secondary indexes
+ * @param {boolean} definition.timestamps - Maintain createdAt and updatedAt
+ * @returns {Object} Model with create, get, update, delete and query
+ */
+export function defineEntity(definition) {
+  const {
+    name,
+    tableName,
+    attributes,
+    keys,
+    indexes = {},
+    timestamps = false,
+  } = definition;
+
+  Object.entries(attributes).forEach(([attributeName, attribute]) => {
+    if (!TYPE_CHECKS[attribute.type]) {
+      throw new Error(
+        `Unknown type "${attribute.type}" for ${name}.${attributeName}`
+      );
+    }
+  });
+
+  const keyFields = new Set(
+    Object.values(keys).flatMap((template) => templateFields(template))
+  );
+
+  /**
+   * Build the table key from the fields used in the key templates
+   */
+  const buildKey = (data) =>
+    Object.fromEntries(
+      Object.entries(keys).map(([attributeName, template]) => [
+        attributeName,
+        renderTemplate(template, data, name),
+      ])
+    );
+
+  /**
+   * Build the key attributes of the indexes. On create, indexes with missing
+   * fields are skipped (sparse indexes); on update only the indexes using a
+   * changed field are rebuilt, and all their fields must be known.
+   */
+  const buildIndexKeys = (data, changedFields) => {
+    const indexKeys = {};
+    Object.values(indexes).forEach((index) => {
+      const fields = Object.values(index.keys).flatMap(templateFields);
+      if (
+        changedFields &&
+        !fields.some((field) => changedFields.includes(field))
+      ) {
+        return;
+      }
+
+      const missing = fields.filter(
+        (field) => data[field] === undefined || data[field] === null
+      );
+      if (missing.length > 0) {
+        if (changedFields) {
+          throw new EntityValidationError(
+            `${name}: ${missing.join(', ')} required to rebuild index ${index.indexName}`,
+            { errors: missing.map((field) => `${field} is required`) }
+          );
+        }
+        return;
+      }
+
+      Object.entries(index.keys).forEach(([attributeName, template]) => {
+        indexKeys[attributeName] = renderTemplate(template, data, name);
+      });
+    });
+    return indexKeys;
+  };
+
+  /**
+   * Index key attributes whose templates use any of the given fields
+   */
+  const indexKeysUsing = (fields) =>
+    Object.values(indexes)
+      .filter((index) =>
+        Object.values(index.keys)
+          .flatMap(templateFields)
+          .some((field) => fields.includes(field))
+      )
+      .flatMap((index) => Object.keys(index.keys));
+
+  /**
+   * Keep only the declared attributes (and timestamps) of a stored item
+   */
+  const toEntity = (item) => {
+    if (!item) {
+      return undefined;
+    }
+    const entity = {};
+    const fields = Object.keys(attributes);
+    if (timestamps) {
+      fields.push('createdAt', 'updatedAt');
+    }
+    fields.forEach((field) => {
+      if (item[field] !== undefined) {
+        entity[field] = item[field];
+      }
+    });
+    return entity;
+  };
+
+  return {
+    name,
+    tableName,
+
+    /**
+     * Validate data and create a new item (fails if it already exists)
+     * @param {Object} data - Entity attributes
+     * @returns {Promise<Object>} Created entity, with defaults and timestamps
+     */
+    async create(data) {
+      const entity = validate(
+        name,
+        attributes,
+        applyDefaults(attributes, data)
+      );
+      if (timestamps) {
+        const now = new Date().toISOString();
+        entity.createdAt = now;
+        entity.updatedAt = now;
+      }
+
+      const key = buildKey(entity);
+      await dynamoService.putItem(
+        tableName,
+        {
+          ...entity,
+          ...key,
+          ...buildIndexKeys(entity),
+          [ENTITY_TYPE_ATTRIBUTE]: name,
+        },
+        { condition: { [Object.keys(key)[0]]: { exists: false } } }
+      );
+      return entity;
+    },
+
+    /**
+     * Get an entity by the fields used in its key
+     * @param {Object} keyData - Fields used in the key templates
+     * @returns {Promise<Object|undefined>} Entity, or undefined if it does not exist
+     */
+    async get(keyData) {
+      const item = await dynamoService.getItem(tableName, buildKey(keyData));
+      return toEntity(item);
+    },
+
+    /**
+     * Validate and apply a partial change to an existing entity
+     * @param {Object} keyData - Fields used in the key templates
+     * @param {Object} changes - Attributes to change; null removes an optional attribute
+     * @returns {Promise<Object>} Updated entity
+     */
+    async update(keyData, changes) {
+      const changedKeyFields = Object.keys(changes).filter((field) =>
+        keyFields.has(field)
+      );
+      if (changedKeyFields.length > 0) {
+        throw new EntityValidationError(
+          `${name}: key fields cannot be updated (${changedKeyFields.join(', ')})`,
+          { errors: changedKeyFields }
+        );
+      }
+
+      const validChanges = validate(name, attributes, changes, {
+        partial: true,
+      });
+      const updates = {
+        ...validChanges,
+        ...buildIndexKeys(
+          { ...keyData, ...validChanges },
+          Object.keys(validChanges)
+        ),
+      };
+      // Removed attributes also take the index keys built from them away
+      const removedFields = Object.keys(changes).filter(
+        (field) => changes[field] === null
+      );
+      [...removedFields, ...indexKeysUsing(removedFields)].forEach((field) => {
+        updates[field] = { $remove: true };
+      });
+      if (timestamps) {
+        updates.updatedAt = new Date().toISOString();
+      }
+
+      const key = buildKey(keyData);
+      const item = await dynamoService.updateItem(tableName, key, updates, {
+        condition: { [Object.keys(key)[0]]: { exists: true } },
+        returnValues: 'ALL_NEW',
+      });
+      return toEntity(item);
+    },
+
+    /**
+     * Delete an entity by the fields used in its key
+     * @param {Object} keyData - Fields used in the key templates
+     */
+    async delete(keyData) {
+      await dynamoService.deleteItem(tableName, buildKey(keyData));
+    },
+
+    /**
+     * Query entities of this type. The partition key template must be
+     * complete; a sort key template that is only partly known becomes a
+     * begins_with condition.
+     * @param {Object} keyData - Fields used in the key templates
+     * @param {Object} options - Query options
+     * @param {string} options.index - Alias of an index declared in definition.indexes
+     * @param {Object} options.filter - Extra filter conditions
+     * @param {number} options.limit - Maximum items read
+     * @param {boolean} options.reverse - Descending sort key order
+     * @param {Object} options.exclusiveStartKey - lastEvaluatedKey of the previous page
+     * @returns {Promise<Object>} { items, lastEvaluatedKey }
+     */
+    async query(keyData, options = {}) {
+      const index = options.index ? indexes[options.index] : undefined;
+      if (options.index && !index) {
+        throw new Error(`${name}: unknown index "${options.index}"`);
+      }
+
+      const [partitionKey, sortKey] = Object.entries(index ? index.keys : keys);
+      const key = {
+        [partitionKey[0]]: renderTemplate(partitionKey[1], keyData, name),
+      };
+      if (sortKey) {
+        const prefix = renderPrefix(sortKey[1], keyData);
+        if (prefix.complete) {
+          key[sortKey[0]] = prefix.value;
+        } else if (prefix.value) {
+          key[sortKey[0]] = { beginsWith: prefix.value };
+        }
+      }
+
+      const result = await dynamoService.queryItems(tableName, {
+        indexName: index?.indexName,
+        key,
+        filter: { ...options.filter, [ENTITY_TYPE_ATTRIBUTE]: name },
+        limit: options.limit,
+        reverse: options.reverse,
+        exclusiveStartKey: options.exclusiveStartKey,
+      });
+      return {
+        items: (result.items || []).map(toEntity),
+        lastEvaluatedKey: result.lastEvaluatedKey,
+      };
+    },
+  };
+}
+
+function applyDefaults(attributes, data) {
+  const withDefaults = { ...data };
+  Object.entries(attributes).forEach(([attributeName, attribute]) => {
+    if (withDefaults[attributeName] === undefined && 'default' in attribute) {
+      withDefaults[attributeName] =
+        typeof attribute.default === 'function'
+          ? attribute.default()
+          : attribute.default;
+    }
+  });
+  return withDefaults;
+}
+
+/**
+ * Check required fields, types and unknown attributes.
+ * Dates are stored as ISO strings.
+ */
+function validate(entityName, attributes, data, { partial = false } = {}) {
+  const errors = [];
+  const valid = {};
+
+  Object.keys(data).forEach((attributeName) => {
+    if (!attributes[attributeName]) {
+      errors.push(`${attributeName} is not a ${entityName} attribute`);
+    }
+  });
+
+  Object.entries(attributes).forEach(([attributeName, attribute]) => {
+    const value = data[attributeName];
+
+    if (value === undefined || value === null) {
+      if (attribute.required && !partial) {
+        errors.push(`${attributeName} is required`);
+      } else if (attribute.required && value === null) {
+        errors.push(`${attributeName} cannot be removed`);
+      }
+      return;
+    }
+
+    if (!TYPE_CHECKS[attribute.type](value)) {
+      errors.push(`${attributeName} must be of type ${attribute.type}`);
+      return;
+    }
+
+    valid[attributeName] =
+      attribute.type === 'date' ? new Date(value).toISOString() : value;
+  });
+
+  if (errors.length > 0) {
+    throw new EntityValidationError(
+      `Invalid ${entityName}: ${errors.join('; ')}`,
+      { errors }
+    );
+  }
+  return valid;
+}
+
+function templateFields(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Replace every {field} of a key template; all fields must be present
+ */
+function renderTemplate(template, data, entityName) {
+  return template.replace(/\{(\w+)\}/g, (_match, field) => {
+    if (data[field] === undefined || data[field] === null) {
+      throw new EntityValidationError(
+        `${entityName}: ${field} is required to build the key "${template}"`,
+        { errors: [`${field} is required`] }
+      );
+    }
+    return String(data[field]);
+  });
+}
+
+/**
+ * Render a key template up to its first missing field
+ */
+function renderPrefix(template, data) {
+  let value = '';
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(/\{(\w+)\}/g)) {
+    value += template.slice(lastIndex, match.index);
+    if (data[match[1]] === undefined || data[match[1]] === null) {
+      return { value, complete: false };
+    }
+    value += String(data[match[1]]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  return { value: value + template.slice(lastIndex), complete: true };
+}
@@ -0,0 +1,325 @@
+import { createHash } from 'crypto';
+import { Readable, Transform, pipeline } from 'stream';
+import { createGzip, createGunzip } from 'zlib';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import * as dynamoService from './dynamodb-service.js';
+import * as s3Service from './s3-service.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger({ service: 'backup' });
+
+/**
+ * DynamoDB table backups stored in S3.
+ *
+ * An export writes two objects under a prefix:
+ * - data.jsonl.gz: one {"Item": <DynamoDB JSON>} line per item, gzip-compressed
+ *   (the same line format as DynamoDB's native export to S3)
+ * - manifest.json: item count, size and SHA-256 checksum of data.jsonl.gz
+ *
+ * Items are kept in DynamoDB JSON so sets, binaries and numbers survive the
+ * round trip. Binary values are stored as base64 strings.
+ */
+
+export const MANIFEST_FILE = 'manifest.json';
+export const DATA_FILE = 'data.jsonl.gz';
+
+// Problems reported by a dry run are capped so a bad file cannot exhaust memory
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Export a whole table to S3, streaming the scan through gzip into a
+ * multipart upload
+ * @param {string} tableName - Table to export
+ * @param {string} bucketName - Destination bucket
+ * @param {Object} options - Export options
+ * @param {string} options.prefix - Key prefix of the export (default exports/<table>/<timestamp>)
+ * @param {number} options.pageSize - Items read per scan request
+ * @param {number} options.totalSegments - Parallel scan segments (default 1)
+ * @param {number} options.concurrency - Segments scanned at the same time
+ * @returns {Promise<Object>} Manifest of the export, plus manifestKey
+ */
+export async function exportTableToS3(tableName, bucketName, options = {}) {
+  const {
+    prefix = `exports/${tableName}/${new Date().toISOString().replace(/[:.]/g, '-')}`,
+    pageSize,
+    totalSegments,
+    concurrency,
+  } = options;
+  const dataKey = `${prefix}/${DATA_FILE}`;
+  const manifestKey = `${prefix}/${MANIFEST_FILE}`;
+
+  try {
+    const hash = createHash('sha256');
+    let itemCount = 0;
+    let sizeBytes = 0;
+
+    async function* toLines() {
+      const items = dynamoService.iterateScan(tableName, {
+        pageSize,
+        totalSegments,
+        concurrency,
+      });
+      for await (const item of items) {
+        itemCount++;
+        yield `${stringifyItem(item)}\n`;
+      }
+    }
+
+    const hashing = new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        sizeBytes += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    // pipeline destroys every stream on failure, so a scan error aborts the upload
+    const body = pipeline(
+      Readable.from(toLines()),
+      createGzip(),
+      hashing,
+      () => {}
+    );
+    await s3Service.uploadLargeObject(bucketName, dataKey, body, {
+      contentType: 'application/gzip',
+    });
+
+    const manifest = {
+      formatVersion: 1,
+      tableName,
+      exportedAt: new Date().toISOString(),
+      format: 'dynamodb-json-lines',
+      compression: 'gzip',
+      dataKey,
+      itemCount,
+      sizeBytes,
+      checksum: { algorithm: 'sha256', value: hash.digest('hex') },
+    };
+    await s3Service.uploadObject(
+      bucketName,
+      manifestKey,
+      JSON.stringify(manifest, null, 2),
+      'application/json'
+    );
+
+    return { ...manifest, manifestKey };
+  } catch (error) {
+    logger.error('Error exporting table', {
+      operation: 'exportTableToS3',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Import an export into a table with batch writes.
+ *
+ * Run with dryRun first: the checksum of the file can only be verified once it
+ * has been read completely, and a dry run validates every line without writing.
+ * If an import fails, error.resumeFrom holds how many items were already
+ * written; pass it as options.resumeFrom to continue from there.
+ * @param {string} bucketName - Bucket of the export
+ * @param {string} manifestKey - Key of the export's manifest.json
+ * @param {string} tableName - Destination table (default the exported table)
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Validate the export without writing
+ * @param {number} options.resumeFrom - Items to skip, from a previous failed import
+ * @param {number} options.batchSize - Items handed to each batchWriteItems call (default 100)
+ * @param {number} options.concurrency - Chunks of 25 written in parallel (default 4)
+ * @returns {Promise<Object>} { itemCount, importedCount, skippedCount }, or the dry run report
+ */
+export async function importTableFromS3(
+  bucketName,
+  manifestKey,
+  tableName,
+  options = {}
+) {
+  const {
+    dryRun = false,
+    resumeFrom = 0,
+    batchSize = 100,
+    concurrency,
+  } = options;
+  let importedCount = resumeFrom;
+
+  try {
+    const { content } = await s3Service.downloadObject(bucketName, manifestKey);
+    const manifest = JSON.parse(content);
+    const targetTable = tableName || manifest.tableName;
+
+    const keyAttributes = dryRun ? await getKeyAttributes(targetTable) : null;
+    const errors = [];
+    const reportError = (line, message) => {
+      if (errors.length < MAX_REPORTED_ERRORS) {
+        errors.push({ line, message });
+      }
+    };
+
+    const hash = createHash('sha256');
+    const { content: data } = await s3Service.downloadObject(
+      bucketName,
+      manifest.dataKey,
+      { as: 'stream' }
+    );
+    const hashing = new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+    const lines = pipeline(data, hashing, createGunzip(), () => {});
+    lines.setEncoding('utf8');
+
+    let itemCount = 0;
+    let batch = [];
+    const writeBatch = async () => {
+      const { unprocessedItems } = await dynamoService.batchWriteItems(
+        targetTable,
+        { puts: batch },
+        { concurrency }
+      );
+      if (unprocessedItems.length > 0) {
+        throw new Error(
+          `${unprocessedItems.length} items could not be written to ${targetTable}`
+        );
+      }
+      importedCount += batch.length;
+      batch = [];
+    };
+
+    for await (const line of readLines(lines)) {
+      itemCount++;
+      let item;
+      try {
+        item = parseItem(line);
+      } catch (error) {
+        if (!dryRun) {
+          throw new Error(
+            `Invalid item on line ${itemCount}: ${error.message}`
+          );
+        }
+        reportError(itemCount, error.message);
+        continue;
+      }
+
+      if (dryRun) {
+        const missing = (keyAttributes || []).filter(
+          (attribute) => item[attribute] === undefined
+        );
+        if (missing.length > 0) {
+          reportError(
+            itemCount,
+            `Missing key attributes: ${missing.join(', ')}`
+          );
+        }
+        continue;
+      }
+
+      if (itemCount <= resumeFrom) {
+        continue;
+      }
+      batch.push(item);
+      if (batch.length >= batchSize) {
+        await writeBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await writeBatch();
+    }
+
+    const checksum = hash.digest('hex');
+    const problems = [];
+    if (checksum !== manifest.checksum.value) {
+      problems.push('checksum does not match the manifest');
+    }
+    if (itemCount !== manifest.itemCount) {
+      problems.push(
+        `found ${itemCount} items, manifest records ${manifest.itemCount}`
+      );
+    }
+
+    if (dryRun) {
+      return {
+        dryRun: true,
+        tableName: targetTable,
+        itemCount,
+        valid: problems.length === 0 && errors.length === 0,
+        problems,
+        errors,
+      };
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Export ${manifestKey} is corrupt: ${problems.join('; ')}`
+      );
+    }
+    return {
+      tableName: targetTable,
+      itemCount,
+      importedCount: importedCount - resumeFrom,
+      skippedCount: resumeFrom,
+    };
+  } catch (error) {
+    if (!dryRun) {
+      error.resumeFrom = importedCount;
+    }
+    logger.error('Error importing table', {
+      operation: 'importTableFromS3',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Key attribute names of a table, or null if it does not exist yet
+ */
+async function getKeyAttributes(tableName) {
+  const table = await dynamoService.describeTable(tableName);
+  return table ? table.KeySchema.map((key) => key.AttributeName) : null;
+}
+
+function stringifyItem(item) {
+  return JSON.stringify({ Item: marshall(item) }, function (key, value) {
+    // `this[key]` is the value before JSON.stringify applies toJSON
+    const original = this[key];
+    return original instanceof Uint8Array
+      ? Buffer.from(original).toString('base64')
+      : value;
+  });
+}
+
+function parseItem(line) {
+  const parsed = JSON.parse(line, (key, value) => {
+    // Type descriptors: B holds a base64 string, BS an array of them
+    if (key === 'B' && typeof value === 'string') {
+      return Buffer.from(value, 'base64');
+    }
+    if (key === 'BS' && Array.isArray(value)) {
+      return value.map((entry) => Buffer.from(entry, 'base64'));
+    }
+    return value;
+  });
+  if (!parsed || typeof parsed.Item !== 'object') {
+    throw new Error('Line has no "Item" object');
+  }
+  return unmarshall(parsed.Item);
+}
+
+/**
+ * Split a text stream into its non-empty lines
+ */
+async function* readLines(stream) {
+  let buffered = '';
+  for await (const chunk of stream) {
+    buffered += chunk;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    yield* lines.filter(Boolean);
+  }
+  if (buffered) {
+    yield buffered;
+  }
+}
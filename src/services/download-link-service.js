@@ -0,0 +1,182 @@
+import { randomBytes } from 'crypto';
+import { projectConfig } from '../config/aws-config.js';
+import * as dynamoService from './dynamodb-service.js';
+import * as s3Service from './s3-service.js';
+import { ConditionFailedError } from '../utils/error-handler.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger({ service: 'download-links' });
+
+/**
+ * Registry of temporary download links stored in DynamoDB.
+ *
+ * Users receive a short opaque token instead of a presigned URL. The token is
+ * exchanged for a short-lived presigned URL every time it is resolved, so
+ * revoking the link in the table stops any further access.
+ *
+ * Expected table: partition key "token" (string), a GSI named
+ * "userId-expiresAt-index" (userId + expiresAt) and TTL enabled on "ttl".
+ */
+
+export const USER_INDEX_NAME = 'userId-expiresAt-index';
+
+/**
+ * Create a temporary download link and save it in the registry
+ * @param {Object} link - Link information
+ * @param {string} link.bucketName - Bucket name
+ * @param {string} link.fileKey - Object key
+ * @param {string} link.userId - User the link is issued to
+ * @param {string} link.purpose - Why the link was issued (for auditing)
+ * @param {number} link.durationMinutes - Link lifetime in minutes (default LINK_DURATION_MINUTES)
+ * @param {string} tableName - Registry table name
+ * @returns {Promise<Object>} Saved link record, including its token
+ */
+export async function createDownloadLink(
+  {
+    bucketName,
+    fileKey,
+    userId,
+    purpose = 'download',
+    durationMinutes = projectConfig.dynamodb.linkDurationMinutes,
+  },
+  tableName = projectConfig.dynamodb.linksTableName
+) {
+  try {
+    const now = Date.now();
+    const expiresAt = now + durationMinutes * 60 * 1000;
+
+    const record = {
+      token: randomBytes(16).toString('base64url'),
+      userId,
+      bucketName,
+      fileKey,
+      purpose,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+      // DynamoDB TTL expects epoch seconds
+      ttl: Math.ceil(expiresAt / 1000),
+      revoked: false,
+    };
+
+    await dynamoService.putItem(tableName, record);
+    return record;
+  } catch (error) {
+    logger.error('Error creating download link', {
+      operation: 'createDownloadLink',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Exchange a token for a presigned download URL
+ * @param {string} token - Link token
+ * @param {number} urlExpiresIn - Lifetime of the presigned URL in seconds (default 60)
+ * @param {string} tableName - Registry table name
+ * @returns {Promise<Object|null>} { downloadUrl, link }, or null if the link is not usable
+ */
+export async function resolveDownloadLink(
+  token,
+  urlExpiresIn = 60,
+  tableName = projectConfig.dynamodb.linksTableName
+) {
+  try {
+    // A consistent read, so a link revoked a moment ago is never signed again
+    const link = await dynamoService.getItem(
+      tableName,
+      { token },
+      { consistentRead: true }
+    );
+
+    // TTL deletion can lag behind, so expiry is always checked here too
+    if (!link || link.revoked || !isActive(link)) {
+      return null;
+    }
+
+    const remainingSeconds = Math.floor(
+      (Date.parse(link.expiresAt) - Date.now()) / 1000
+    );
+    const downloadUrl = await s3Service.getDownloadSignedUrl(
+      link.bucketName,
+      link.fileKey,
+      Math.max(1, Math.min(urlExpiresIn, remainingSeconds))
+    );
+
+    return { downloadUrl, link };
+  } catch (error) {
+    logger.error('Error resolving download link', {
+      operation: 'resolveDownloadLink',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * List the links of a user that are not expired nor revoked, reading every
+ * page of the user index
+ * @param {string} userId - User ID
+ * @param {string} tableName - Registry table name
+ * @returns {Promise<Object[]>} Active link records
+ */
+export async function listActiveLinks(
+  userId,
+  tableName = projectConfig.dynamodb.linksTableName
+) {
+  try {
+    const links = [];
+    for await (const link of dynamoService.iterateQuery(
+      tableName,
+      'userId = :userId AND expiresAt > :now',
+      { ':userId': userId, ':now': new Date().toISOString() },
+      { indexName: USER_INDEX_NAME }
+    )) {
+      if (!link.revoked) {
+        links.push(link);
+      }
+    }
+    return links;
+  } catch (error) {
+    logger.error('Error listing active links', {
+      operation: 'listActiveLinks',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Revoke a link so its token can no longer be resolved
+ * @param {string} token - Link token
+ * @param {string} tableName - Registry table name
+ * @returns {Promise<Object|null>} Revoked link record, or null if it does not exist
+ */
+export async function revokeDownloadLink(
+  token,
+  tableName = projectConfig.dynamodb.linksTableName
+) {
+  try {
+    // A single conditional update: a concurrent change is kept and a link
+    // already removed by TTL is not written back
+    return await dynamoService.updateItem(
+      tableName,
+      { token },
+      { revoked: true, revokedAt: new Date().toISOString() },
+      { condition: { token: { exists: true } }, returnValues: 'ALL_NEW' }
+    );
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return null;
+    }
+    logger.error('Error revoking download link', {
+      operation: 'revokeDownloadLink',
+      error,
+    });
+    throw error;
+  }
+}
+
+function isActive(link) {
+  return Date.parse(link.expiresAt) > Date.now();
+}
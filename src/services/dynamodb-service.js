@@ -1,63 +1,673 @@
 import {
   PutCommand,
   GetCommand,
+  UpdateCommand,
   DeleteCommand,
   ScanCommand,
   QueryCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+  TransactGetCommand,
 } from '@aws-sdk/lib-dynamodb';
-import { dynamoDBDocClient } from '../clients/dynamodb-client.js';
+import {
+  CreateTableCommand,
+  DeleteTableCommand,
+  DescribeTableCommand,
+  DescribeTimeToLiveCommand,
+  UpdateTableCommand,
+  UpdateTimeToLiveCommand,
+} from '@aws-sdk/client-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import {
+  dynamoDBClient,
+  dynamoDBDocClient,
+} from '../clients/dynamodb-client.js';
+import { attachResilience } from '../clients/middleware.js';
+import {
+  ConditionFailedError,
+  VersionConflictError,
+  TransactionCanceledError,
+} from '../utils/error-handler.js';
+import {
+  mapWithConcurrency,
+  mergeAsyncIterators,
+} from '../utils/concurrency.js';
+import {
+  createExpressionContext,
+  buildUpdateExpression,
+  buildConditionExpression,
+} from '../utils/expression-builder.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger({ service: 'dynamodb' });
 
 /**
  * Create or update an item in DynamoDB
+ * @param {string} tableName - Table name
+ * @param {Object} item - Item to save
+ * @param {Object} options - Write options
+ * @param {Object} options.condition - Condition object that must hold (see buildConditionExpression)
+ * @param {string} options.conditionExpression - Raw condition expression, instead of options.condition
+ * @param {boolean|Object} options.optimisticLock - true or { attribute } to check and increment a version
+ * @param {number} options.expectedVersion - Version read by the caller (default item[attribute])
+ * @returns {Promise<Object>} PutItem response, plus the saved version when locking
  */
-export async function putItem(tableName, item) {
+export async function putItem(tableName, item, options = {}) {
+  const context = createExpressionContext();
+  const versionAttribute = getVersionAttribute(options);
+  const expectedVersion =
+    options.expectedVersion ?? item[versionAttribute] ?? null;
+  let conditionExpression;
+
   try {
+    conditionExpression = buildCondition(options, context);
+    let itemToSave = item;
+
+    if (versionAttribute) {
+      conditionExpression = joinConditions(
+        conditionExpression,
+        buildVersionCondition(versionAttribute, expectedVersion, context)
+      );
+      itemToSave = { ...item, [versionAttribute]: (expectedVersion ?? 0) + 1 };
+    }
+
     const command = new PutCommand({
       TableName: tableName,
-      Item: item,
+      Item: itemToSave,
+      ConditionExpression: conditionExpression,
+      ...context.attributes(),
+      ReturnValuesOnConditionCheckFailure: conditionExpression
+        ? 'ALL_OLD'
+        : undefined,
     });
     const response = await dynamoDBDocClient.send(command);
-    return response;
+    return versionAttribute
+      ? { ...response, version: itemToSave[versionAttribute] }
+      : response;
   } catch (error) {
-    console.error('Error saving item:', error);
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw toConditionError(error, `saving item in ${tableName}`, {
+        conditionExpression,
+        versionAttribute,
+        expectedVersion,
+      });
+    }
+    logger.error('Error saving item', { operation: 'putItem', error });
     throw error;
   }
 }
 
 /**
  * Get an item by its primary key
+ * @param {string} tableName - Table name
+ * @param {Object} key - Primary key of the item
+ * @param {Object} options - Read options
+ * @param {boolean} options.consistentRead - Use a strongly consistent read, to see writes that just finished
+ * @returns {Promise<Object|undefined>} Item, or undefined if it does not exist
  */
-export async function getItem(tableName, key) {
+export async function getItem(tableName, key, options = {}) {
   try {
     const command = new GetCommand({
       TableName: tableName,
       Key: key,
+      ConsistentRead: options.consistentRead,
     });
     const response = await dynamoDBDocClient.send(command);
     return response.Item;
   } catch (error) {
-    console.error('Error getting item:', error);
+    logger.error('Error getting item', { operation: 'getItem', error });
+    throw error;
+  }
+}
+
+/**
+ * Update some attributes of an item without rewriting it
+ * @param {string} tableName - Table name
+ * @param {Object} key - Primary key of the item
+ * @param {Object} changes - Changes to apply (see buildUpdateExpression)
+ * @param {Object} options - Update options
+ * @param {Object} options.condition - Condition object that must hold (see buildConditionExpression)
+ * @param {string} options.conditionExpression - Raw condition expression, instead of options.condition
+ * @param {Object} options.expressionAttributeNames - Names used by conditionExpression
+ * @param {Object} options.expressionAttributeValues - Values used by conditionExpression
+ * @param {string} options.returnValues - NONE (default), ALL_OLD, UPDATED_OLD, ALL_NEW or UPDATED_NEW
+ * @param {boolean|Object} options.optimisticLock - true or { attribute } to check and increment a version
+ * @param {number} options.expectedVersion - Version read by the caller (default changes[attribute]),
+ *   required when locking
+ * @returns {Promise<Object|undefined>} Attributes requested with returnValues
+ */
+export async function updateItem(tableName, key, changes, options = {}) {
+  const context = createExpressionContext();
+  const versionAttribute = getVersionAttribute(options);
+  const expectedVersion =
+    options.expectedVersion ?? changes[versionAttribute] ?? null;
+  let conditionExpression;
+
+  try {
+    requireExpectedVersion(versionAttribute, expectedVersion, 'updateItem');
+    let updates = withoutKeyAttributes(changes, key);
+    if (versionAttribute) {
+      updates = { ...updates, [versionAttribute]: { $add: 1 } };
+    }
+
+    const updateExpression = buildUpdateExpression(updates, context);
+    conditionExpression = buildCondition(options, context);
+    if (versionAttribute) {
+      conditionExpression = joinConditions(
+        conditionExpression,
+        buildVersionCondition(versionAttribute, expectedVersion, context)
+      );
+    }
+
+    const command = new UpdateCommand({
+      TableName: tableName,
+      Key: key,
+      UpdateExpression: updateExpression,
+      ConditionExpression: conditionExpression,
+      ...context.attributes(),
+      ReturnValues: options.returnValues || 'NONE',
+      ReturnValuesOnConditionCheckFailure: conditionExpression
+        ? 'ALL_OLD'
+        : undefined,
+    });
+    const response = await dynamoDBDocClient.send(command);
+    return response.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw toConditionError(error, `updating item in ${tableName}`, {
+        conditionExpression,
+        versionAttribute,
+        expectedVersion,
+      });
+    }
+    logger.error('Error updating item', { operation: 'updateItem', error });
     throw error;
   }
 }
 
+/**
+ * Key attributes cannot be updated, so they are ignored if present in the changes
+ */
+function withoutKeyAttributes(changes, key) {
+  return Object.fromEntries(
+    Object.entries(changes).filter(([name]) => !(name in key))
+  );
+}
+
+/**
+ * Build the condition expression of a write from a condition object or a
+ * raw conditionExpression with its own names and values
+ */
+function buildCondition(options, context) {
+  const conditionExpression = options.condition
+    ? buildConditionExpression(options.condition, context)
+    : options.conditionExpression;
+  context.merge(
+    options.expressionAttributeNames,
+    options.expressionAttributeValues
+  );
+  return conditionExpression;
+}
+
 /**
  * Delete an item by its primary key
+ * @param {string} tableName - Table name
+ * @param {Object} key - Primary key of the item
+ * @param {Object} options - Write options
+ * @param {Object} options.condition - Condition object that must hold (see buildConditionExpression)
+ * @param {string} options.conditionExpression - Raw condition expression, instead of options.condition
+ * @param {boolean|Object} options.optimisticLock - true or { attribute } to check the version
+ * @param {number} options.expectedVersion - Version read by the caller, required when locking
  */
-export async function deleteItem(tableName, key) {
+export async function deleteItem(tableName, key, options = {}) {
+  const context = createExpressionContext();
+  const versionAttribute = getVersionAttribute(options);
+  const expectedVersion = options.expectedVersion ?? null;
+  let conditionExpression;
+
   try {
+    requireExpectedVersion(versionAttribute, expectedVersion, 'deleteItem');
+    conditionExpression = buildCondition(options, context);
+    if (versionAttribute) {
+      conditionExpression = joinConditions(
+        conditionExpression,
+        buildVersionCondition(versionAttribute, expectedVersion, context)
+      );
+    }
+
     const command = new DeleteCommand({
       TableName: tableName,
       Key: key,
+      ConditionExpression: conditionExpression,
+      ...context.attributes(),
+      ReturnValuesOnConditionCheckFailure: conditionExpression
+        ? 'ALL_OLD'
+        : undefined,
     });
     const response = await dynamoDBDocClient.send(command);
     return response;
   } catch (error) {
-    console.error('Error deleting item:', error);
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw toConditionError(error, `deleting item in ${tableName}`, {
+        conditionExpression,
+        versionAttribute,
+        expectedVersion,
+      });
+    }
+    logger.error('Error deleting item', { operation: 'deleteItem', error });
+    throw error;
+  }
+}
+
+/**
+ * Name of the version attribute when optimistic locking is enabled
+ */
+function getVersionAttribute(options) {
+  if (!options.optimisticLock) {
+    return undefined;
+  }
+  return options.optimisticLock.attribute || 'version';
+}
+
+/**
+ * Updates and deletes change an item that was read, so they must say which
+ * version they expect; only putItem may create an item without one
+ */
+function requireExpectedVersion(versionAttribute, expectedVersion, operation) {
+  if (versionAttribute && expectedVersion === null) {
+    throw new Error(
+      `${operation} with optimisticLock needs the expectedVersion of the item`
+    );
+  }
+}
+
+/**
+ * The stored version must be the one the caller read
+ * (a null expected version means the item must not exist yet)
+ */
+function buildVersionCondition(versionAttribute, expectedVersion, context) {
+  return buildConditionExpression(
+    {
+      [versionAttribute]:
+        expectedVersion === null ? { exists: false } : expectedVersion,
+    },
+    context
+  );
+}
+
+function joinConditions(...expressions) {
+  const parts = expressions.filter(Boolean);
+  return parts.length > 1
+    ? parts.map((part) => `(${part})`).join(' AND ')
+    : parts[0];
+}
+
+/**
+ * Turn a ConditionalCheckFailedException into a VersionConflictError when the
+ * version changed, or a ConditionFailedError otherwise
+ */
+function toConditionError(
+  error,
+  action,
+  { conditionExpression, versionAttribute, expectedVersion }
+) {
+  const item = error.Item ? unmarshall(error.Item) : undefined;
+
+  if (versionAttribute) {
+    const currentVersion = item?.[versionAttribute] ?? null;
+    if (currentVersion !== expectedVersion) {
+      return new VersionConflictError(
+        `Version conflict ${action}: expected ${expectedVersion}, current ${currentVersion}`,
+        {
+          cause: error,
+          service: 'dynamodb',
+          item,
+          expectedVersion,
+          currentVersion,
+        }
+      );
+    }
+  }
+
+  return new ConditionFailedError(
+    `Condition failed ${action}: ${conditionExpression}`,
+    { cause: error, service: 'dynamodb', item }
+  );
+}
+
+/**
+ * Write several items atomically: either every operation succeeds or none does
+ *
+ *   transactWrite([
+ *     { put: { tableName: 'orders', item: order, condition: { id: { exists: false } } } },
+ *     { update: { tableName: 'stock', key: { sku }, changes: { units: { $add: -1 } }, condition: { units: { gt: 0 } } } },
+ *     { delete: { tableName: 'carts', key: { userId } } },
+ *     { conditionCheck: { tableName: 'users', key: { userId }, condition: { status: 'active' } } },
+ *   ], { clientRequestToken: orderId });
+ *
+ * Every operation also accepts conditionExpression, expressionAttributeNames
+ * and expressionAttributeValues instead of a condition object.
+ * @param {Object[]} operations - Put, update, delete or conditionCheck operations (max 100)
+ * @param {Object} options - Transaction options
+ * @param {string} options.clientRequestToken - Idempotency token, retries with it are applied once
+ * @returns {Promise<Object>} TransactWrite response
+ * @throws {TransactionCanceledError} With one error per failed operation
+ */
+export async function transactWrite(operations, options = {}) {
+  try {
+    const command = new TransactWriteCommand({
+      TransactItems: operations.map(buildTransactWriteItem),
+      ClientRequestToken: options.clientRequestToken,
+    });
+    const response = await dynamoDBDocClient.send(command);
+    return response;
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw toTransactionCanceledError(error, operations, 'TransactWriteItems');
+    }
+    logger.error('Error writing transaction', {
+      operation: 'transactWrite',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Read several items in a single consistent snapshot
+ * @param {Object[]} gets - Items to read: { tableName, key, projection }
+ * @returns {Promise<Object[]>} Items in the same order (undefined when missing)
+ * @throws {TransactionCanceledError} With one error per failed read
+ */
+export async function transactGet(gets) {
+  try {
+    const command = new TransactGetCommand({
+      TransactItems: gets.map(({ tableName, key, projection }) => {
+        const context = createExpressionContext();
+        const projectionExpression = projection
+          ? projection.map((path) => context.name(path)).join(', ')
+          : undefined;
+        return {
+          Get: {
+            TableName: tableName,
+            Key: key,
+            ProjectionExpression: projectionExpression,
+            ExpressionAttributeNames:
+              context.attributes().ExpressionAttributeNames,
+          },
+        };
+      }),
+    });
+    const response = await dynamoDBDocClient.send(command);
+    return (response.Responses || []).map((itemResponse) => itemResponse.Item);
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw toTransactionCanceledError(
+        error,
+        gets.map((get) => ({ get })),
+        'TransactGetItems'
+      );
+    }
+    logger.error('Error reading transaction', {
+      operation: 'transactGet',
+      error,
+    });
     throw error;
   }
 }
 
+/**
+ * Build one TransactItems entry from a plain-object operation
+ */
+function buildTransactWriteItem(operation) {
+  const [type, params] = Object.entries(operation)[0];
+  const context = createExpressionContext();
+
+  if (type === 'update') {
+    const updateExpression = buildUpdateExpression(
+      withoutKeyAttributes(params.changes, params.key),
+      context
+    );
+    const conditionExpression = buildCondition(params, context);
+    return {
+      Update: {
+        TableName: params.tableName,
+        Key: params.key,
+        UpdateExpression: updateExpression,
+        ConditionExpression: conditionExpression,
+        ...context.attributes(),
+        ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+      },
+    };
+  }
+
+  const conditionExpression = buildCondition(params, context);
+  const common = {
+    TableName: params.tableName,
+    ConditionExpression: conditionExpression,
+    ...context.attributes(),
+    ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+  };
+
+  switch (type) {
+    case 'put':
+      return { Put: { ...common, Item: params.item } };
+    case 'delete':
+      return { Delete: { ...common, Key: params.key } };
+    case 'conditionCheck':
+      return { ConditionCheck: { ...common, Key: params.key } };
+    default:
+      throw new Error(`Unknown transaction operation: ${type}`);
+  }
+}
+
+/**
+ * Turn the CancellationReasons of a cancelled transaction into one error
+ * per operation (null for the operations that did not fail)
+ * @param {string} transaction - 'TransactWriteItems' or 'TransactGetItems'
+ */
+function toTransactionCanceledError(error, operations, transaction) {
+  const reasons = error.CancellationReasons || [];
+
+  const errors = operations.map((operation, index) => {
+    const reason = reasons[index];
+    if (!reason || reason.Code === 'None') {
+      return null;
+    }
+
+    const type = Object.keys(operation)[0];
+    const tableName = operation[type].tableName;
+    const item = reason.Item ? unmarshall(reason.Item) : undefined;
+
+    const operationError =
+      reason.Code === 'ConditionalCheckFailed'
+        ? new ConditionFailedError(
+            `Condition failed in ${type} on ${tableName} (operation ${index})`,
+            { cause: error, item }
+          )
+        : new Error(reason.Message || reason.Code, { cause: error });
+    operationError.code = reason.Code;
+    operationError.operationIndex = index;
+    operationError.operation = type;
+    operationError.tableName = tableName;
+    return operationError;
+  });
+
+  return new TransactionCanceledError(
+    `Transaction cancelled: ${reasons.map((reason) => reason.Code).join(', ')}`,
+    {
+      cause: error,
+      service: 'dynamodb',
+      operation: transaction,
+      errors,
+    }
+  );
+}
+
+// DynamoDB limits per batch request
+const BATCH_GET_LIMIT = 100;
+const BATCH_WRITE_LIMIT = 25;
+
+/**
+ * Get many items by key, in chunks of 100 keys
+ * @param {string} tableName - Table name
+ * @param {Object[]} keys - Primary keys of the items
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Chunks sent in parallel (default 4)
+ * @param {number} options.maxAttempts - Attempts per chunk for unprocessed keys (default 5)
+ * @param {number} options.retryDelay - Initial retry delay in ms (default 100)
+ * @param {boolean} options.consistentRead - Use strongly consistent reads
+ * @returns {Promise<Object>} { items, unprocessedKeys } - keys still unread after every attempt
+ */
+export async function batchGetItems(tableName, keys, options = {}) {
+  const { concurrency = 4, maxAttempts = 5, retryDelay = 100 } = options;
+
+  try {
+    const results = await mapWithConcurrency(
+      chunk(keys, BATCH_GET_LIMIT),
+      concurrency,
+      async (chunkKeys) => {
+        const items = [];
+        let pending = chunkKeys;
+
+        for (
+          let attempt = 1;
+          pending.length > 0 && attempt <= maxAttempts;
+          attempt++
+        ) {
+          if (attempt > 1) {
+            await sleep(backoffDelay(attempt - 1, retryDelay));
+          }
+
+          const command = new BatchGetCommand({
+            RequestItems: {
+              [tableName]: {
+                Keys: pending,
+                ConsistentRead: options.consistentRead,
+              },
+            },
+          });
+          const response = await dynamoDBDocClient.send(command);
+          items.push(...(response.Responses?.[tableName] || []));
+          pending = response.UnprocessedKeys?.[tableName]?.Keys || [];
+        }
+
+        return { items, unprocessed: pending };
+      }
+    );
+
+    return {
+      items: results.flatMap((result) => result.items),
+      unprocessedKeys: results.flatMap((result) => result.unprocessed),
+    };
+  } catch (error) {
+    logger.error('Error getting items in batch', {
+      operation: 'batchGetItems',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Put and delete many items, in chunks of 25 requests
+ * @param {string} tableName - Table name
+ * @param {Object} requests - Items to write
+ * @param {Object[]} requests.puts - Items to create or replace
+ * @param {Object[]} requests.deletes - Primary keys of the items to delete
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Chunks sent in parallel (default 4)
+ * @param {number} options.maxAttempts - Attempts per chunk for unprocessed items (default 5)
+ * @param {number} options.retryDelay - Initial retry delay in ms (default 100)
+ * @returns {Promise<Object>} { processedCount, unprocessedItems } - { put } / { delete } requests that never succeeded
+ */
+export async function batchWriteItems(
+  tableName,
+  { puts = [], deletes = [] },
+  options = {}
+) {
+  const { concurrency = 4, maxAttempts = 5, retryDelay = 100 } = options;
+
+  try {
+    const writeRequests = [
+      ...puts.map((item) => ({ PutRequest: { Item: item } })),
+      ...deletes.map((key) => ({ DeleteRequest: { Key: key } })),
+    ];
+
+    const results = await mapWithConcurrency(
+      chunk(writeRequests, BATCH_WRITE_LIMIT),
+      concurrency,
+      async (chunkRequests) => {
+        let pending = chunkRequests;
+
+        for (
+          let attempt = 1;
+          pending.length > 0 && attempt <= maxAttempts;
+          attempt++
+        ) {
+          if (attempt > 1) {
+            await sleep(backoffDelay(attempt - 1, retryDelay));
+          }
+
+          const command = new BatchWriteCommand({
+            RequestItems: { [tableName]: pending },
+          });
+          const response = await dynamoDBDocClient.send(command);
+          pending = response.UnprocessedItems?.[tableName] || [];
+        }
+
+        return {
+          processed: chunkRequests.length - pending.length,
+          unprocessed: pending,
+        };
+      }
+    );
+
+    return {
+      processedCount: results.reduce(
+        (total, result) => total + result.processed,
+        0
+      ),
+      unprocessedItems: results
+        .flatMap((result) => result.unprocessed)
+        .map((request) =>
+          request.PutRequest
+            ? { put: request.PutRequest.Item }
+            : { delete: request.DeleteRequest.Key }
+        ),
+    };
+  } catch (error) {
+    logger.error('Error writing items in batch', {
+      operation: 'batchWriteItems',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Split an array into arrays of at most `size` elements
+ */
+function chunk(array, size) {
+  const chunks = [];
+  for (let index = 0; index < array.length; index += size) {
+    chunks.push(array.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(retry, baseDelay) {
+  return Math.random() * baseDelay * 2 ** retry;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 /**
  * Scan entire table (use with caution on large tables)
  */
@@ -74,25 +684,52 @@ export async function scanTable(tableName, limit = 25) {
       lastEvaluatedKey: response.LastEvaluatedKey,
     };
   } catch (error) {
-    console.error('Error scanning table:', error);
+    logger.error('Error scanning table', { operation: 'scanTable', error });
     throw error;
   }
 }
 
 /**
- * Query items using an index
+ * Query items of a table or index
+ *
+ * Accepts an options object:
+ *   queryItems('orders', {
+ *     key: { pk: 'USER#1', sk: { beginsWith: 'ORDER#' } },
+ *     filter: { status: { ne: 'cancelled' } },
+ *     projection: ['sk', 'status', 'total'],
+ *     reverse: true,
+ *   })
+ * or the classic form with a raw expression:
+ *   queryItems('orders', 'pk = :pk', { ':pk': 'USER#1' }, { indexName })
+ *
+ * @param {string} tableName - Table name
+ * @param {Object|string} query - Query options, or a raw key condition expression
+ * @param {Object} query.key - Key conditions (see buildConditionExpression)
+ * @param {string} query.indexName - GSI or LSI to query
+ * @param {Object} query.filter - Filter conditions applied after reading
+ * @param {string} query.filterExpression - Raw filter expression, instead of filter
+ * @param {string[]} query.projection - Attributes to return
+ * @param {boolean} query.reverse - Return items in descending sort key order
+ * @param {boolean} query.consistentRead - Use strongly consistent reads (not on GSIs)
+ * @param {number} query.limit - Maximum items read per request
+ * @param {Object} query.exclusiveStartKey - lastEvaluatedKey of the previous page
+ * @param {Object} query.expressionAttributeNames - Names used by raw expressions
+ * @param {Object} query.expressionAttributeValues - Values used by raw expressions
+ * @returns {Promise<Object>} { items, count, lastEvaluatedKey }
  */
 export async function queryItems(
   tableName,
-  keyConditionExpression,
-  expressionAttributeValues
+  query,
+  expressionAttributeValues,
+  options = {}
 ) {
   try {
-    const command = new QueryCommand({
-      TableName: tableName,
-      KeyConditionExpression: keyConditionExpression,
-      ExpressionAttributeValues: expressionAttributeValues,
-    });
+    const command = new QueryCommand(
+      buildQueryInput(
+        tableName,
+        normalizeQuery(query, expressionAttributeValues, options)
+      )
+    );
     const response = await dynamoDBDocClient.send(command);
     return {
       items: response.Items,
@@ -100,7 +737,606 @@ export async function queryItems(
       lastEvaluatedKey: response.LastEvaluatedKey,
     };
   } catch (error) {
-    console.error('Error querying items:', error);
+    logger.error('Error querying items', { operation: 'queryItems', error });
     throw error;
   }
 }
+
+/**
+ * Turn the classic (expression, values, options) arguments into a query object
+ */
+function normalizeQuery(query, expressionAttributeValues, options) {
+  if (typeof query === 'string') {
+    return {
+      ...options,
+      keyConditionExpression: query,
+      expressionAttributeValues: {
+        ...expressionAttributeValues,
+        ...options.expressionAttributeValues,
+      },
+    };
+  }
+  return query;
+}
+
+/**
+ * Build the QueryCommand input from a query object
+ */
+function buildQueryInput(tableName, query) {
+  const context = createExpressionContext();
+
+  const keyConditionExpression = query.key
+    ? buildConditionExpression(query.key, context)
+    : query.keyConditionExpression;
+  const filterExpression = query.filter
+    ? buildConditionExpression(query.filter, context)
+    : query.filterExpression;
+  const projectionExpression = query.projection
+    ? query.projection.map((path) => context.name(path)).join(', ')
+    : undefined;
+  context.merge(
+    query.expressionAttributeNames,
+    query.expressionAttributeValues
+  );
+
+  return {
+    TableName: tableName,
+    IndexName: query.indexName,
+    KeyConditionExpression: keyConditionExpression,
+    FilterExpression: filterExpression,
+    ProjectionExpression: projectionExpression,
+    ...context.attributes(),
+    ScanIndexForward: query.reverse ? false : undefined,
+    ConsistentRead: query.consistentRead,
+    Limit: query.limit,
+    ExclusiveStartKey: query.exclusiveStartKey,
+  };
+}
+
+/**
+ * Scan a table page by page, following LastEvaluatedKey automatically.
+ * With totalSegments > 1 the segments are scanned in parallel.
+ * @param {string} tableName - Table name
+ * @param {Object} options - Scan options
+ * @param {number} options.pageSize - Items read per request
+ * @param {number} options.maxItems - Stop after this many items
+ * @param {number} options.totalSegments - Split the scan into this many segments
+ * @param {number} options.segment - Scan only this segment (0-based)
+ * @param {number} options.concurrency - Segments scanned at once (default totalSegments)
+ * @param {boolean} options.consistentRead - Use strongly consistent reads
+ * @returns {AsyncGenerator<Object>} Items of the table
+ */
+export async function* iterateScan(tableName, options = {}) {
+  const { totalSegments = 1, maxItems = Infinity } = options;
+
+  try {
+    let items;
+    if (totalSegments > 1 && options.segment === undefined) {
+      const segments = Array.from(
+        { length: totalSegments },
+        (_, segment) => () =>
+          paginate((exclusiveStartKey) =>
+            sendScan(tableName, options, exclusiveStartKey, segment)
+          )
+      );
+      items = mergeAsyncIterators(
+        segments,
+        options.concurrency || totalSegments
+      );
+    } else {
+      items = paginate((exclusiveStartKey) =>
+        sendScan(tableName, options, exclusiveStartKey, options.segment)
+      );
+    }
+
+    yield* limitItems(items, maxItems);
+  } catch (error) {
+    logger.error('Error scanning table', { operation: 'iterateScan', error });
+    throw error;
+  }
+}
+
+/**
+ * Query items page by page, following LastEvaluatedKey automatically
+ * @param {string} tableName - Table name
+ * @param {Object|string} query - Query options (see queryItems), or a raw key condition expression
+ * @param {number} query.pageSize - Items read per request
+ * @param {number} query.maxItems - Stop after this many items
+ * @param {Object} expressionAttributeValues - Values for a raw key condition expression
+ * @param {Object} options - Extra options for the classic form (pageSize and maxItems included)
+ * @returns {AsyncGenerator<Object>} Matching items
+ */
+export async function* iterateQuery(
+  tableName,
+  query,
+  expressionAttributeValues,
+  options = {}
+) {
+  const normalized = normalizeQuery(query, expressionAttributeValues, options);
+  const { maxItems = Infinity } = normalized;
+
+  try {
+    const items = paginate((exclusiveStartKey) =>
+      dynamoDBDocClient.send(
+        new QueryCommand(
+          buildQueryInput(tableName, {
+            ...normalized,
+            limit: normalized.pageSize,
+            exclusiveStartKey,
+          })
+        )
+      )
+    );
+
+    yield* limitItems(items, maxItems);
+  } catch (error) {
+    logger.error('Error querying items', { operation: 'iterateQuery', error });
+    throw error;
+  }
+}
+
+function sendScan(tableName, options, exclusiveStartKey, segment) {
+  return dynamoDBDocClient.send(
+    new ScanCommand({
+      TableName: tableName,
+      Limit: options.pageSize,
+      ConsistentRead: options.consistentRead,
+      Segment: segment,
+      TotalSegments: segment === undefined ? undefined : options.totalSegments,
+      ExclusiveStartKey: exclusiveStartKey,
+    })
+  );
+}
+
+/**
+ * Yield the items of every page returned by sendPage until there is no LastEvaluatedKey
+ */
+async function* paginate(sendPage) {
+  let exclusiveStartKey;
+  do {
+    const response = await sendPage(exclusiveStartKey);
+    yield* response.Items || [];
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+}
+
+async function* limitItems(items, maxItems) {
+  if (maxItems <= 0) {
+    return;
+  }
+  let count = 0;
+  for await (const item of items) {
+    yield item;
+    if (++count >= maxItems) {
+      return;
+    }
+  }
+}
+
+/**
+ * Table lifecycle from a declarative definition
+ *
+ *   {
+ *     tableName: 'app-table',
+ *     partitionKey: { name: 'pk', type: 'S' },
+ *     sortKey: { name: 'sk', type: 'S' },
+ *     globalIndexes: [
+ *       { name: 'GSI1', partitionKey: { name: 'gsi1pk' }, sortKey: { name: 'gsi1sk' } },
+ *     ],
+ *     localIndexes: [{ name: 'LSI1', sortKey: { name: 'createdAt' }, projection: 'KEYS_ONLY' }],
+ *     billingMode: 'PAY_PER_REQUEST', // or 'PROVISIONED' with throughput: { read, write }
+ *     ttlAttribute: 'ttl',
+ *     stream: 'NEW_AND_OLD_IMAGES',
+ *   }
+ *
+ * Key types are 'S', 'N' or 'B' (default 'S'). Index projections are 'ALL'
+ * (default), 'KEYS_ONLY' or an array of attribute names.
+ */
+
+/**
+ * Describe a table, including its TTL settings
+ * @param {string} tableName - Table name
+ * @returns {Promise<Object|null>} DescribeTable's Table plus TimeToLiveDescription, or null if it does not exist
+ */
+export async function describeTable(tableName) {
+  try {
+    const { Table } = await dynamoDBClient.send(
+      new DescribeTableCommand({ TableName: tableName })
+    );
+    const { TimeToLiveDescription } = await dynamoDBClient.send(
+      new DescribeTimeToLiveCommand({ TableName: tableName })
+    );
+    return { ...Table, TimeToLiveDescription };
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    logger.error('Error describing table', {
+      operation: 'describeTable',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Wait until a table and all its global indexes are ACTIVE
+ * @param {string} tableName - Table name
+ * @param {Object} options - Wait options
+ * @param {number} options.timeoutMs - Maximum wait in ms (default 5 minutes)
+ * @param {number} options.pollInterval - Delay between checks in ms (default 2000)
+ * @returns {Promise<Object>} Table description once active
+ */
+export async function waitForTable(tableName, options = {}) {
+  return pollTable(
+    tableName,
+    (table) =>
+      table?.TableStatus === 'ACTIVE' &&
+      (table.GlobalSecondaryIndexes || []).every(
+        (index) => index.IndexStatus === 'ACTIVE'
+      ),
+    'become ACTIVE',
+    options
+  );
+}
+
+/**
+ * Create a table from a definition and wait until it is ACTIVE.
+ * TTL is enabled once the table exists, since CreateTable does not accept it.
+ * @param {Object} definition - Table definition
+ * @param {Object} options - Wait options (see waitForTable)
+ * @returns {Promise<Object>} Table description
+ */
+export async function createTable(definition, options = {}) {
+  try {
+    await dynamoDBClient.send(
+      new CreateTableCommand(buildCreateTableInput(definition))
+    );
+    await waitForTable(definition.tableName, options);
+
+    if (definition.ttlAttribute) {
+      await enableTimeToLive(definition.tableName, definition.ttlAttribute);
+    }
+    return await describeTable(definition.tableName);
+  } catch (error) {
+    logger.error('Error creating table', { operation: 'createTable', error });
+    throw error;
+  }
+}
+
+/**
+ * Compare the live table with its definition and apply the additive
+ * changes: create it if missing, add new GSIs (one at a time, as DynamoDB
+ * requires), enable streams and TTL. Changes that would alter or drop
+ * existing data (keys, LSIs, removed indexes, billing mode...) are only
+ * reported in `unsupported`.
+ * @param {Object} definition - Table definition
+ * @param {Object} options - Apply options
+ * @param {boolean} options.dryRun - Only return the planned changes
+ * @param {number} options.timeoutMs - Maximum wait for each change in ms
+ * @param {number} options.pollInterval - Delay between status checks in ms
+ * @returns {Promise<Object>} { created, changes, unsupported }
+ */
+export async function applyTableDefinition(definition, options = {}) {
+  const { dryRun = false } = options;
+
+  try {
+    const table = await describeTable(definition.tableName);
+    if (!table) {
+      if (!dryRun) {
+        await createTable(definition, options);
+      }
+      return {
+        created: true,
+        changes: [{ type: 'createTable' }],
+        unsupported: [],
+      };
+    }
+
+    const { changes, unsupported } = diffTable(definition, table);
+    if (dryRun) {
+      return { created: false, changes, unsupported };
+    }
+
+    for (const change of changes) {
+      await applyTableChange(definition, change);
+      await waitForTable(definition.tableName, options);
+    }
+    return { created: false, changes, unsupported };
+  } catch (error) {
+    logger.error('Error applying table definition', {
+      operation: 'applyTableDefinition',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Delete a table. The table name must be repeated in options.confirm so a
+ * table is never dropped by accident.
+ * @param {string} tableName - Table name
+ * @param {Object} options - Delete options
+ * @param {string} options.confirm - Must equal tableName
+ * @param {boolean} options.wait - Wait until the table is gone (default true)
+ * @param {number} options.timeoutMs - Maximum wait in ms
+ * @param {number} options.pollInterval - Delay between checks in ms
+ * @returns {Promise<boolean>} False if the table did not exist
+ */
+export async function deleteTable(tableName, options = {}) {
+  const { confirm, wait = true } = options;
+
+  if (confirm !== tableName) {
+    throw new Error(
+      `Refusing to delete table "${tableName}": pass { confirm: '${tableName}' } to confirm`
+    );
+  }
+
+  try {
+    await dynamoDBClient.send(new DeleteTableCommand({ TableName: tableName }));
+    if (wait) {
+      await pollTable(tableName, (table) => !table, 'be deleted', options);
+    }
+    return true;
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return false;
+    }
+    logger.error('Error deleting table', { operation: 'deleteTable', error });
+    throw error;
+  }
+}
+
+/**
+ * Protect DynamoDB calls with a circuit breaker and/or a rate limiter.
+ * Operations use the low-level names (GetItem, Query, BatchWriteItem...),
+ * also for calls made through the Document client.
+ * @param {Object} options - { circuitBreaker, rateLimiter, operations } (see attachResilience)
+ * @returns {Function} Removes the protection
+ */
+export function protectDynamoDB(options) {
+  return attachResilience({ ...options, services: ['dynamodb'] });
+}
+
+async function pollTable(tableName, isDone, goal, options) {
+  const { timeoutMs = 300000, pollInterval = 2000 } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const { Table } = await dynamoDBClient
+      .send(new DescribeTableCommand({ TableName: tableName }))
+      .catch((error) => {
+        if (error.name === 'ResourceNotFoundException') {
+          return {};
+        }
+        throw error;
+      });
+    if (isDone(Table)) {
+      return Table;
+    }
+    if (Date.now() + pollInterval > deadline) {
+      throw new Error(
+        `Timed out after ${timeoutMs} ms waiting for table ${tableName} to ${goal}`
+      );
+    }
+    await sleep(pollInterval);
+  }
+}
+
+function enableTimeToLive(tableName, attributeName) {
+  return dynamoDBClient.send(
+    new UpdateTimeToLiveCommand({
+      TableName: tableName,
+      TimeToLiveSpecification: { AttributeName: attributeName, Enabled: true },
+    })
+  );
+}
+
+function applyTableChange(definition, change) {
+  switch (change.type) {
+    case 'createIndex':
+      return dynamoDBClient.send(
+        new UpdateTableCommand({
+          TableName: definition.tableName,
+          AttributeDefinitions: buildAttributeDefinitions(definition),
+          GlobalSecondaryIndexUpdates: [
+            { Create: buildGlobalIndex(change.index, definition) },
+          ],
+        })
+      );
+    case 'enableStream':
+      return dynamoDBClient.send(
+        new UpdateTableCommand({
+          TableName: definition.tableName,
+          StreamSpecification: {
+            StreamEnabled: true,
+            StreamViewType: definition.stream,
+          },
+        })
+      );
+    case 'enableTtl':
+      return enableTimeToLive(definition.tableName, definition.ttlAttribute);
+  }
+}
+
+/**
+ * Work out which parts of the definition are missing from the live table
+ */
+function diffTable(definition, table) {
+  const changes = [];
+  const unsupported = [];
+
+  const keyNames = (keySchema = []) =>
+    keySchema.map((element) => element.AttributeName).join(',');
+  const definedKeys = (item) =>
+    buildKeySchema(item.partitionKey, item.sortKey)
+      .map((element) => element.AttributeName)
+      .join(',');
+
+  if (keyNames(table.KeySchema) !== definedKeys(definition)) {
+    unsupported.push('Table key schema differs from the definition');
+  }
+
+  const billingMode = table.BillingModeSummary?.BillingMode || 'PROVISIONED';
+  if (billingMode !== (definition.billingMode || 'PAY_PER_REQUEST')) {
+    unsupported.push(
+      `Billing mode is ${billingMode}, definition expects ${definition.billingMode || 'PAY_PER_REQUEST'}`
+    );
+  }
+
+  const liveIndexes = new Map(
+    (table.GlobalSecondaryIndexes || []).map((index) => [
+      index.IndexName,
+      index,
+    ])
+  );
+  (definition.globalIndexes || []).forEach((index) => {
+    const liveIndex = liveIndexes.get(index.name);
+    if (!liveIndex) {
+      changes.push({ type: 'createIndex', indexName: index.name, index });
+    } else if (keyNames(liveIndex.KeySchema) !== definedKeys(index)) {
+      unsupported.push(`Index ${index.name} key schema differs`);
+    }
+    liveIndexes.delete(index.name);
+  });
+  liveIndexes.forEach((_index, indexName) => {
+    unsupported.push(`Index ${indexName} is not in the definition`);
+  });
+
+  const liveLocalIndexes = (table.LocalSecondaryIndexes || [])
+    .map((index) => index.IndexName)
+    .sort();
+  const localIndexes = (definition.localIndexes || [])
+    .map((index) => index.name)
+    .sort();
+  if (liveLocalIndexes.join(',') !== localIndexes.join(',')) {
+    unsupported.push(
+      'Local indexes differ (they can only be defined when creating the table)'
+    );
+  }
+
+  const stream = table.StreamSpecification;
+  if (definition.stream && !stream?.StreamEnabled) {
+    changes.push({ type: 'enableStream' });
+  } else if (definition.stream && stream.StreamViewType !== definition.stream) {
+    unsupported.push(
+      `Stream view type is ${stream.StreamViewType}, definition expects ${definition.stream}`
+    );
+  } else if (!definition.stream && stream?.StreamEnabled) {
+    unsupported.push('Stream is enabled but not in the definition');
+  }
+
+  const ttl = table.TimeToLiveDescription || {};
+  const ttlEnabled = ['ENABLED', 'ENABLING'].includes(ttl.TimeToLiveStatus);
+  if (definition.ttlAttribute && !ttlEnabled) {
+    changes.push({ type: 'enableTtl' });
+  } else if (
+    definition.ttlAttribute &&
+    ttl.AttributeName !== definition.ttlAttribute
+  ) {
+    unsupported.push(
+      `TTL uses ${ttl.AttributeName}, definition expects ${definition.ttlAttribute}`
+    );
+  } else if (!definition.ttlAttribute && ttlEnabled) {
+    unsupported.push('TTL is enabled but not in the definition');
+  }
+
+  return { changes, unsupported };
+}
+
+function buildCreateTableInput(definition) {
+  const input = {
+    TableName: definition.tableName,
+    AttributeDefinitions: buildAttributeDefinitions(definition),
+    KeySchema: buildKeySchema(definition.partitionKey, definition.sortKey),
+    BillingMode: definition.billingMode || 'PAY_PER_REQUEST',
+    ProvisionedThroughput: buildThroughput(definition.throughput),
+  };
+
+  if (definition.globalIndexes?.length) {
+    input.GlobalSecondaryIndexes = definition.globalIndexes.map((index) =>
+      buildGlobalIndex(index, definition)
+    );
+  }
+  if (definition.localIndexes?.length) {
+    input.LocalSecondaryIndexes = definition.localIndexes.map((index) => ({
+      IndexName: index.name,
+      KeySchema: buildKeySchema(definition.partitionKey, index.sortKey),
+      Projection: buildProjection(index.projection),
+    }));
+  }
+  if (definition.stream) {
+    input.StreamSpecification = {
+      StreamEnabled: true,
+      StreamViewType: definition.stream,
+    };
+  }
+  return input;
+}
+
+function buildGlobalIndex(index, definition) {
+  return {
+    IndexName: index.name,
+    KeySchema: buildKeySchema(index.partitionKey, index.sortKey),
+    Projection: buildProjection(index.projection),
+    ProvisionedThroughput:
+      definition.billingMode === 'PROVISIONED'
+        ? buildThroughput(index.throughput || definition.throughput)
+        : undefined,
+  };
+}
+
+/**
+ * Every attribute used by the table or index keys, declared once
+ */
+function buildAttributeDefinitions(definition) {
+  const keys = [
+    definition.partitionKey,
+    definition.sortKey,
+    ...(definition.globalIndexes || []).flatMap((index) => [
+      index.partitionKey,
+      index.sortKey,
+    ]),
+    ...(definition.localIndexes || []).map((index) => index.sortKey),
+  ].filter(Boolean);
+
+  const types = new Map();
+  keys.forEach(({ name, type = 'S' }) => {
+    if (types.has(name) && types.get(name) !== type) {
+      throw new Error(
+        `Attribute ${name} is declared as both ${types.get(name)} and ${type}`
+      );
+    }
+    types.set(name, type);
+  });
+
+  return [...types].map(([name, type]) => ({
+    AttributeName: name,
+    AttributeType: type,
+  }));
+}
+
+function buildKeySchema(partitionKey, sortKey) {
+  const keySchema = [{ AttributeName: partitionKey.name, KeyType: 'HASH' }];
+  if (sortKey) {
+    keySchema.push({ AttributeName: sortKey.name, KeyType: 'RANGE' });
+  }
+  return keySchema;
+}
+
+function buildProjection(projection = 'ALL') {
+  if (Array.isArray(projection)) {
+    return { ProjectionType: 'INCLUDE', NonKeyAttributes: projection };
+  }
+  return { ProjectionType: projection };
+}
+
+function buildThroughput(throughput) {
+  if (!throughput) {
+    return undefined;
+  }
+  return {
+    ReadCapacityUnits: throughput.read,
+    WriteCapacityUnits: throughput.write,
+  };
+}
@@ -1,12 +1,30 @@
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { Readable } from 'stream';
+import archiver from 'archiver';
 import {
   ListBucketsCommand,
   CreateBucketCommand,
   PutObjectCommand,
   GetObjectCommand,
   DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  ListObjectsV2Command,
+  HeadObjectCommand,
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
 import { s3Client } from '../clients/s3-client.js';
+import { attachResilience } from '../clients/middleware.js';
+import { projectConfig } from '../config/aws-config.js';
+import { getLogger } from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+const logger = getLogger({ service: 's3' });
 
 /**
  * List all S3 buckets
@@ -17,11 +35,95 @@ export async function listBuckets() {
     const response = await s3Client.send(command);
     return response.Buckets;
   } catch (error) {
-    console.error('Error listing buckets:', error);
+    logger.error('Error listing buckets', { operation: 'listBuckets', error });
+    throw error;
+  }
+}
+
+/**
+ * List the objects of a bucket, following continuation tokens automatically
+ * @param {string} bucketName - Bucket name
+ * @param {Object} options - Listing options
+ * @param {string} options.prefix - Only list keys that start with this prefix
+ * @param {string} options.delimiter - Group keys into folders (usually '/')
+ * @param {string} options.startAfter - Start listing after this key
+ * @param {number} options.maxItems - Stop after this many entries
+ * @param {number} options.pageSize - Keys requested per call (max 1000)
+ * @returns {AsyncGenerator<Object>} Entries { key, size, lastModified, etag, storageClass, isFolder }
+ */
+export async function* listObjects(bucketName, options = {}) {
+  const { prefix, delimiter, startAfter, maxItems = Infinity } = options;
+  const pageSize = Math.min(options.pageSize || 1000, 1000);
+  let continuationToken;
+  let listed = 0;
+
+  try {
+    do {
+      const command = new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix,
+        Delimiter: delimiter,
+        StartAfter: continuationToken ? undefined : startAfter,
+        ContinuationToken: continuationToken,
+        MaxKeys: Math.min(pageSize, maxItems - listed),
+      });
+      const response = await s3Client.send(command);
+
+      // "Folders" come back separately from objects when a delimiter is used
+      const entries = [
+        ...(response.CommonPrefixes || []).map((commonPrefix) => ({
+          key: commonPrefix.Prefix,
+          isFolder: true,
+        })),
+        ...(response.Contents || []).map((object) => ({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+          etag: object.ETag,
+          storageClass: object.StorageClass,
+          isFolder: false,
+        })),
+      ];
+
+      for (const entry of entries) {
+        if (listed >= maxItems) {
+          return;
+        }
+        listed++;
+        yield entry;
+      }
+
+      continuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (continuationToken && listed < maxItems);
+  } catch (error) {
+    logger.error('Error listing objects', { operation: 'listObjects', error });
     throw error;
   }
 }
 
+/**
+ * List the objects of a bucket into arrays of files and folders
+ * @param {string} bucketName - Bucket name
+ * @param {Object} options - Same options as listObjects
+ * @returns {Promise<Object>} { objects, folders }
+ */
+export async function listAllObjects(bucketName, options = {}) {
+  const objects = [];
+  const folders = [];
+
+  for await (const entry of listObjects(bucketName, options)) {
+    if (entry.isFolder) {
+      folders.push(entry);
+    } else {
+      objects.push(entry);
+    }
+  }
+
+  return { objects, folders };
+}
+
 /**
  * Create a new bucket
  */
@@ -33,7 +135,7 @@ export async function createBucket(bucketName) {
     const response = await s3Client.send(command);
     return response;
   } catch (error) {
-    console.error('Error creating bucket:', error);
+    logger.error('Error creating bucket', { operation: 'createBucket', error });
     throw error;
   }
 }
@@ -57,39 +159,517 @@ export async function uploadObject(
     const response = await s3Client.send(command);
     return response;
   } catch (error) {
-    console.error('Error uploading object:', error);
+    logger.error('Error uploading object', {
+      operation: 'uploadObject',
+      error,
+    });
+    throw error;
+  }
+}
+
+// S3 multipart limits: parts must be at least 5 MB (except the last one)
+// and an upload can have at most 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Upload a large object to S3 using a multipart upload
+ * @param {string} bucketName - Bucket name
+ * @param {string} key - Object key
+ * @param {string|Buffer|Readable|AsyncIterable} source - File path, Buffer or readable stream
+ * @param {Object} options - Upload options
+ * @param {string} options.contentType - Object content type
+ * @param {number} options.partSize - Part size in bytes (default 8 MB, minimum 5 MB)
+ * @param {number} options.expectedSize - Approximate size of a stream source, to pick a part size that fits in 10,000 parts
+ * @param {number} options.concurrency - Maximum parts uploaded in parallel (default 4)
+ * @param {string} options.uploadId - UploadId of an interrupted upload to resume
+ * @param {boolean} options.abortOnFailure - Abort the multipart upload if it fails (default true)
+ * @param {Function} options.onProgress - Called with { uploadedParts, uploadedBytes } after each part
+ * @returns {Promise<Object>} CompleteMultipartUpload response plus the UploadId
+ */
+export async function uploadLargeObject(bucketName, key, source, options = {}) {
+  const {
+    contentType = 'application/octet-stream',
+    concurrency = 4,
+    abortOnFailure = true,
+    onProgress,
+  } = options;
+  let uploadId = options.uploadId;
+  // Declared here so a failure can wait for the parts still uploading
+  const inFlight = new Set();
+
+  try {
+    const partSize = await resolvePartSize(
+      source,
+      options.partSize,
+      options.expectedSize
+    );
+
+    if (!uploadId) {
+      const created = await s3Client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: bucketName,
+          Key: key,
+          ContentType: contentType,
+        })
+      );
+      uploadId = created.UploadId;
+    }
+
+    // When resuming, parts that were already uploaded with the same size are kept
+    const existingParts = options.uploadId
+      ? await listUploadedParts(bucketName, key, uploadId)
+      : new Map();
+
+    const completedParts = [];
+    let uploadedBytes = 0;
+    let partNumber = 0;
+    let failure;
+
+    const reportProgress = (size) => {
+      uploadedBytes += size;
+      if (onProgress) {
+        onProgress({ uploadedParts: completedParts.length, uploadedBytes });
+      }
+    };
+
+    for await (const chunk of readParts(toReadable(source), partSize)) {
+      partNumber++;
+      if (partNumber > MAX_PARTS) {
+        throw new Error(
+          `Upload exceeds ${MAX_PARTS} parts of ${partSize} bytes; pass a larger partSize or expectedSize`
+        );
+      }
+      const existing = existingParts.get(partNumber);
+
+      if (existing && existing.Size === chunk.length) {
+        completedParts.push({ PartNumber: partNumber, ETag: existing.ETag });
+        reportProgress(chunk.length);
+        continue;
+      }
+
+      const currentPart = partNumber;
+      const upload = s3Client
+        .send(
+          new UploadPartCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: currentPart,
+            Body: chunk,
+          })
+        )
+        .then((response) => {
+          completedParts.push({ PartNumber: currentPart, ETag: response.ETag });
+          reportProgress(chunk.length);
+        });
+
+      const tracked = upload.finally(() => inFlight.delete(tracked));
+      // Remember the first failure so we stop reading instead of leaving it unhandled
+      tracked.catch((error) => {
+        failure = failure || error;
+      });
+      inFlight.add(tracked);
+
+      // Wait for a free slot so memory stays bounded to concurrency * partSize
+      if (inFlight.size >= concurrency) {
+        await Promise.race(inFlight);
+      }
+      if (failure) {
+        throw failure;
+      }
+    }
+
+    await Promise.all(inFlight);
+
+    // A multipart upload needs at least one part, even for empty sources
+    if (partNumber === 0) {
+      const response = await s3Client.send(
+        new UploadPartCommand({
+          Bucket: bucketName,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: 1,
+          Body: Buffer.alloc(0),
+        })
+      );
+      completedParts.push({ PartNumber: 1, ETag: response.ETag });
+    }
+
+    completedParts.sort((a, b) => a.PartNumber - b.PartNumber);
+
+    const response = await s3Client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: completedParts },
+      })
+    );
+    return { ...response, UploadId: uploadId };
+  } catch (error) {
+    logger.error('Error uploading large object', {
+      operation: 'uploadLargeObject',
+      error,
+    });
+
+    // Parts still uploading could survive an abort, so let them finish first
+    await Promise.allSettled(inFlight);
+
+    if (uploadId && abortOnFailure) {
+      // The upload error is the one thrown; a failed abort is already logged,
+      // and its UploadId kept so the parts can still be cleaned up
+      await abortMultipartUpload(bucketName, key, uploadId).catch(() => {
+        error.uploadId = uploadId;
+      });
+    } else if (uploadId) {
+      // Keep the UploadId so the caller can resume the upload later
+      error.uploadId = uploadId;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Abort a multipart upload and discard its uploaded parts
+ * @throws If the upload could not be aborted, since its parts are still billed
+ */
+export async function abortMultipartUpload(bucketName, key, uploadId) {
+  try {
+    const command = new AbortMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId,
+    });
+    const response = await s3Client.send(command);
+    return response;
+  } catch (error) {
+    logger.error('Error aborting multipart upload', {
+      operation: 'abortMultipartUpload',
+      error,
+    });
     throw error;
   }
 }
 
+/**
+ * Get the parts already uploaded for a multipart upload, indexed by part number
+ */
+async function listUploadedParts(bucketName, key, uploadId) {
+  const parts = new Map();
+  let partNumberMarker;
+
+  do {
+    const response = await s3Client.send(
+      new ListPartsCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: partNumberMarker,
+      })
+    );
+    (response.Parts || []).forEach((part) => parts.set(part.PartNumber, part));
+    partNumberMarker = response.IsTruncated
+      ? response.NextPartNumberMarker
+      : undefined;
+  } while (partNumberMarker);
+
+  return parts;
+}
+
+/**
+ * Pick a part size that respects the S3 minimum and keeps known sizes under 10,000 parts
+ */
+async function resolvePartSize(
+  source,
+  requestedSize = 8 * 1024 * 1024,
+  expectedSize
+) {
+  let totalSize = expectedSize;
+  if (typeof source === 'string') {
+    totalSize = (await stat(source)).size;
+  } else if (Buffer.isBuffer(source)) {
+    totalSize = source.length;
+  }
+
+  const minimumForSize = totalSize ? Math.ceil(totalSize / MAX_PARTS) : 0;
+  return Math.max(requestedSize, MIN_PART_SIZE, minimumForSize);
+}
+
+/**
+ * Turn a file path, Buffer or stream into something that can be iterated
+ */
+function toReadable(source) {
+  if (typeof source === 'string') {
+    return createReadStream(source);
+  }
+  if (Buffer.isBuffer(source)) {
+    return Readable.from([source]);
+  }
+  return source;
+}
+
+/**
+ * Regroup the chunks of a stream into Buffers of exactly partSize bytes
+ * (the last one may be smaller)
+ */
+async function* readParts(stream, partSize) {
+  let buffered = [];
+  let length = 0;
+
+  for await (const chunk of stream) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    buffered.push(buffer);
+    length += buffer.length;
+
+    if (length >= partSize) {
+      let data = Buffer.concat(buffered, length);
+      while (data.length >= partSize) {
+        yield data.subarray(0, partSize);
+        data = data.subarray(partSize);
+      }
+      buffered = data.length > 0 ? [data] : [];
+      length = data.length;
+    }
+  }
+
+  if (length > 0) {
+    yield Buffer.concat(buffered, length);
+  }
+}
+
 /**
  * Download an object from S3
+ * @param {string} bucketName - Bucket name
+ * @param {string} key - Object key
+ * @param {Object} options - Download options
+ * @param {string} options.as - 'text' (default), 'buffer' or 'stream'
+ * @param {string} options.encoding - Encoding used in 'text' mode (default 'utf8')
+ * @param {string|Object} options.range - 'bytes=0-99' or { start, end } / { suffix }
+ * @param {string} options.ifNoneMatch - Only download if the ETag changed
+ * @param {Date|string} options.ifModifiedSince - Only download if modified after this date
+ * @returns {Promise<Object>} Content plus object information, or { notModified: true }
  */
-export async function downloadObject(bucketName, key) {
+export async function downloadObject(bucketName, key, options = {}) {
+  const { as = 'text', encoding = 'utf8' } = options;
+
   try {
     const command = new GetObjectCommand({
       Bucket: bucketName,
       Key: key,
+      Range: formatRange(options.range),
+      IfNoneMatch: options.ifNoneMatch,
+      IfModifiedSince: options.ifModifiedSince
+        ? new Date(options.ifModifiedSince)
+        : undefined,
     });
     const response = await s3Client.send(command);
 
-    // Convert the stream to string
-    const streamToString = (stream) =>
-      new Promise((resolve, reject) => {
-        const chunks = [];
-        stream.on('data', (chunk) => chunks.push(chunk));
-        stream.on('error', reject);
-        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-      });
+    let bodyContent;
+    if (as === 'stream') {
+      bodyContent = response.Body;
+    } else if (as === 'buffer') {
+      bodyContent = await streamToBuffer(response.Body);
+    } else {
+      bodyContent = (await streamToBuffer(response.Body)).toString(encoding);
+    }
 
-    const bodyContent = await streamToString(response.Body);
     return {
       content: bodyContent,
       metadata: response.Metadata,
       contentType: response.ContentType,
+      contentLength: response.ContentLength,
+      contentRange: response.ContentRange,
+      etag: response.ETag,
+      lastModified: response.LastModified,
+      notModified: false,
+    };
+  } catch (error) {
+    // A conditional get that matched the cached version is not a failure
+    if (error.$metadata?.httpStatusCode === 304) {
+      return {
+        content: null,
+        etag: options.ifNoneMatch,
+        notModified: true,
+      };
+    }
+    logger.error('Error downloading object', {
+      operation: 'downloadObject',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Read a whole stream into a single Buffer
+ */
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Build the value of the Range header
+ */
+function formatRange(range) {
+  if (!range) {
+    return undefined;
+  }
+  if (typeof range === 'string') {
+    return range;
+  }
+  if (range.suffix !== undefined) {
+    return `bytes=-${range.suffix}`;
+  }
+  return `bytes=${range.start ?? 0}-${range.end ?? ''}`;
+}
+
+/**
+ * Get the size, type and metadata of an object without downloading it
+ * @param {string} bucketName - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} Object information, or null if it does not exist
+ */
+export async function getObjectInfo(bucketName, key) {
+  try {
+    const command = new HeadObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+    });
+    const response = await s3Client.send(command);
+    return {
+      key,
+      size: response.ContentLength,
+      contentType: response.ContentType,
+      lastModified: response.LastModified,
+      etag: response.ETag,
+      metadata: response.Metadata,
+    };
+  } catch (error) {
+    if (error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    logger.error('Error getting object info', {
+      operation: 'getObjectInfo',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Stream several objects into a single ZIP archive stored back in S3.
+ * Objects are read one at a time and the archive is uploaded in parts,
+ * so it is never held in memory.
+ * @param {string} bucketName - Bucket name
+ * @param {string[]} keys - Keys of the objects to include
+ * @param {string} archiveKey - Key of the ZIP archive to create
+ * @param {Object} options - Archive options
+ * @param {boolean} options.flatten - Use only the file name inside the archive
+ * @param {number} options.compressionLevel - zlib level from 0 to 9 (default 6)
+ * @param {Object[]} options.files - getObjectInfo results of the keys, if already fetched
+ * @param {number} options.concurrency - HeadObject calls in parallel otherwise (default 5)
+ * @returns {Promise<Object>} { key, totalSize, archiveSize, files }
+ */
+export async function createZipArchive(
+  bucketName,
+  keys,
+  archiveKey,
+  options = {}
+) {
+  const { flatten = false, compressionLevel = 6, concurrency = 5 } = options;
+
+  try {
+    const files =
+      options.files ||
+      (await mapWithConcurrency(keys, concurrency, (key) =>
+        getObjectInfo(bucketName, key)
+      ));
+    const missing = keys.filter((_key, index) => !files[index]);
+    if (missing.length > 0) {
+      throw new Error(`Objects not found: ${missing.join(', ')}`);
+    }
+
+    const archive = archiver('zip', { zlib: { level: compressionLevel } });
+
+    // The first failure stops both sides: no more objects are opened, the
+    // object being read is closed and the archive is destroyed
+    let failure;
+    let source;
+    let rejectEntry;
+    const fail = (error) => {
+      if (failure) {
+        return;
+      }
+      failure = error;
+      source?.destroy();
+      rejectEntry?.(error);
+      archive.destroy(error);
+    };
+    // Kept for the whole run, so destroying the archive is never uncaught
+    archive.on('error', fail);
+
+    const appendEntries = async () => {
+      try {
+        for (const file of files) {
+          if (failure) {
+            return;
+          }
+          const { content } = await downloadObject(bucketName, file.key, {
+            as: 'stream',
+          });
+          if (failure) {
+            content.destroy();
+            return;
+          }
+          source = content;
+
+          // Wait for the entry to be written before opening the next object
+          await new Promise((resolve, reject) => {
+            rejectEntry = reject;
+            archive.once('entry', resolve);
+            archive.append(content, {
+              name: flatten ? file.key.split('/').pop() : file.key,
+              date: file.lastModified,
+            });
+          });
+          source = null;
+          rejectEntry = null;
+        }
+        await archive.finalize();
+      } catch (error) {
+        fail(error);
+      }
+    };
+
+    // Both sides settle before returning, so a failed upload is aborted
+    // and no source object is left open
+    await Promise.all([
+      appendEntries(),
+      uploadLargeObject(bucketName, archiveKey, archive, {
+        contentType: 'application/zip',
+      }).catch(fail),
+    ]);
+    if (failure) {
+      throw failure;
+    }
+
+    return {
+      key: archiveKey,
+      totalSize: files.reduce((total, file) => total + file.size, 0),
+      archiveSize: archive.pointer(),
+      files: files.map(({ key, size }) => ({ key, size })),
     };
   } catch (error) {
-    console.error('Error downloading object:', error);
+    logger.error('Error creating ZIP archive', {
+      operation: 'createZipArchive',
+      error,
+    });
     throw error;
   }
 }
@@ -106,7 +686,7 @@ export async function deleteObject(bucketName, key) {
     const response = await s3Client.send(command);
     return response;
   } catch (error) {
-    console.error('Error deleting object:', error);
+    logger.error('Error deleting object', { operation: 'deleteObject', error });
     throw error;
   }
 }
@@ -115,10 +695,14 @@ export async function deleteObject(bucketName, key) {
  * Generate signed URL to download an object from S3
  * @param {string} bucketName - Bucket name
  * @param {string} key - Object key
- * @param {number} expiresIn - Expiration time in seconds (default 1 hour)
+ * @param {number} expiresIn - Expiration time in seconds (default S3_URL_EXPIRES_IN)
  * @returns {Promise<string>} Signed URL for download
  */
-export async function getDownloadSignedUrl(bucketName, key, expiresIn = 3600) {
+export async function getDownloadSignedUrl(
+  bucketName,
+  key,
+  expiresIn = projectConfig.s3.urlExpiresIn
+) {
   try {
     const command = new GetObjectCommand({
       Bucket: bucketName,
@@ -128,7 +712,10 @@ export async function getDownloadSignedUrl(bucketName, key, expiresIn = 3600) {
     const signedUrl = await getSignedUrl(s3Client, command, { expiresIn });
     return signedUrl;
   } catch (error) {
-    console.error('Error generating signed URL for download:', error);
+    logger.error('Error generating signed URL for download', {
+      operation: 'getDownloadSignedUrl',
+      error,
+    });
     throw error;
   }
 }
@@ -138,14 +725,14 @@ export async function getDownloadSignedUrl(bucketName, key, expiresIn = 3600) {
  * @param {string} bucketName - Bucket name
  * @param {string} key - Object key
  * @param {string} contentType - File content type
- * @param {number} expiresIn - Expiration time in seconds (default 1 hour)
+ * @param {number} expiresIn - Expiration time in seconds (default S3_URL_EXPIRES_IN)
  * @returns {Promise<string>} Signed URL for upload
  */
 export async function getUploadSignedUrl(
   bucketName,
   key,
   contentType = 'application/octet-stream',
-  expiresIn = 3600
+  expiresIn = projectConfig.s3.urlExpiresIn
 ) {
   try {
     const command = new PutObjectCommand({
@@ -157,7 +744,93 @@ export async function getUploadSignedUrl(
     const signedUrl = await getSignedUrl(s3Client, command, { expiresIn });
     return signedUrl;
   } catch (error) {
-    console.error('Error generating signed URL for upload:', error);
+    logger.error('Error generating signed URL for upload', {
+      operation: 'getUploadSignedUrl',
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Generate a presigned POST so S3 itself enforces the upload restrictions
+ * @param {string} bucketName - Bucket name
+ * @param {Object} options - Policy options
+ * @param {string} options.key - Exact object key (defaults to keyPrefix + the uploaded file name)
+ * @param {string} options.keyPrefix - Keys must start with this prefix
+ * @param {number} options.minSizeBytes - Minimum accepted size (default 0)
+ * @param {number} options.maxSizeBytes - Maximum accepted size
+ * @param {string} options.contentType - Exact content type required
+ * @param {string} options.contentTypePrefix - Content type must start with this (e.g. 'image/')
+ * @param {Object} options.metadata - Metadata fields with fixed values (x-amz-meta-*)
+ * @param {string[]} options.requiredMetadata - Metadata fields the form must include
+ * @param {number} options.expiresIn - Expiration time in seconds (default 1 hour)
+ * @returns {Promise<Object>} { url, fields, key, expiresAt } to build the upload form
+ */
+export async function getUploadPresignedPost(bucketName, options = {}) {
+  const {
+    keyPrefix,
+    minSizeBytes = 0,
+    maxSizeBytes,
+    contentType,
+    contentTypePrefix,
+    metadata = {},
+    requiredMetadata = [],
+    expiresIn = 3600,
+  } = options;
+
+  try {
+    // S3 replaces ${filename} with the name of the file sent in the form,
+    // and the key is then restricted to start with the prefix
+    const key = options.key || `${keyPrefix || ''}\${filename}`;
+    const fields = {};
+    const conditions = [];
+
+    if (keyPrefix && !key.startsWith(keyPrefix)) {
+      throw new Error(`Key "${key}" does not start with "${keyPrefix}"`);
+    }
+
+    if (maxSizeBytes !== undefined) {
+      conditions.push(['content-length-range', minSizeBytes, maxSizeBytes]);
+    }
+
+    // Fields are signed as exact-match conditions by createPresignedPost
+    if (contentType) {
+      fields['Content-Type'] = contentType;
+    } else if (contentTypePrefix) {
+      conditions.push(['starts-with', '$Content-Type', contentTypePrefix]);
+    }
+
+    Object.entries(metadata).forEach(([name, value]) => {
+      fields[`x-amz-meta-${name}`] = String(value);
+    });
+
+    // An empty starts-with makes the field mandatory while accepting any value
+    requiredMetadata
+      .filter((name) => metadata[name] === undefined)
+      .forEach((name) => {
+        conditions.push(['starts-with', `$x-amz-meta-${name}`, '']);
+      });
+
+    const { url, fields: signedFields } = await createPresignedPost(s3Client, {
+      Bucket: bucketName,
+      Key: key,
+      Conditions: conditions,
+      Fields: fields,
+      Expires: expiresIn,
+    });
+
+    return {
+      url,
+      fields: signedFields,
+      key,
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    };
+  } catch (error) {
+    logger.error('Error generating presigned POST for upload', {
+      operation: 'getUploadPresignedPost',
+      error,
+    });
     throw error;
   }
 }
@@ -192,7 +865,23 @@ export async function getMultipleDownloadSignedUrls(
 
     return signedUrls;
   } catch (error) {
-    console.error('Error generating multiple signed URLs:', error);
+    logger.error('Error generating multiple signed URLs', {
+      operation: 'getMultipleDownloadSignedUrls',
+      error,
+    });
     throw error;
   }
 }
+
+/**
+ * Protect S3 calls with a circuit breaker and/or a rate limiter
+ *
+ *   const breaker = createCircuitBreaker({ name: 's3' });
+ *   const remove = protectS3({ circuitBreaker: breaker, operations: ['PutObject'] });
+ *
+ * @param {Object} options - { circuitBreaker, rateLimiter, operations } (see attachResilience)
+ * @returns {Function} Removes the protection
+ */
+export function protectS3(options) {
+  return attachResilience({ ...options, services: ['s3'] });
+}
@@ -0,0 +1,196 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { withRetry } from '../utils/error-handler.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger({ service: 'webhooks' });
+
+/**
+ * Signed webhook delivery.
+ *
+ * Every delivery is a JSON POST with two headers:
+ * - X-Webhook-Timestamp: Unix time in seconds when the request was signed
+ * - X-Webhook-Signature: "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Receivers verify the signature with verifyWebhookSignature and reject
+ * timestamps outside the tolerance window, so captured calls cannot be replayed.
+ */
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+// Deliveries that still failed after every retry, kept for inspection or
+// redelivery. Only the most recent ones are kept so memory stays bounded.
+const MAX_FAILED_DELIVERIES = 100;
+const failedDeliveries = [];
+
+/**
+ * Compute the signature header value for a webhook body
+ * @param {string} body - Raw request body
+ * @param {string} secret - Secret shared with the receiver
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+export function signWebhookPayload(body, secret, timestamp) {
+  const digest = createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a webhook received from this service
+ * @param {Object} request - Received request data
+ * @param {string} request.body - Raw request body, exactly as received
+ * @param {string} request.signature - Value of the X-Webhook-Signature header
+ * @param {string|number} request.timestamp - Value of the X-Webhook-Timestamp header
+ * @param {string} request.secret - Secret shared with the sender
+ * @param {number} request.toleranceSeconds - Maximum accepted age (default 5 minutes)
+ * @returns {boolean} True if the signature is valid and recent
+ */
+export function verifyWebhookSignature({
+  body,
+  signature,
+  timestamp,
+  secret,
+  toleranceSeconds = 300,
+}) {
+  if (!body || !signature || !timestamp || !secret) {
+    return false;
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(body, secret, timestamp));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * POST a signed payload to a webhook, retrying failures with backoff
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Delivery options
+ * @param {string} options.secret - Secret used to sign the payload
+ * @param {number} options.maxAttempts - Maximum delivery attempts (default 5)
+ * @param {number} options.retryDelay - Initial retry delay in ms; the backoff doubles each attempt, with full jitter, and honours Retry-After (default 1000)
+ * @param {number} options.timeoutMs - Timeout of each attempt in ms (default 10000)
+ * @param {number} options.timeBudget - Give up when the next retry would end after this many ms (default 60000)
+ * @param {Function} options.onFailure - Called with the delivery record when every attempt failed,
+ *   e.g. to store it for redelivery
+ * @returns {Promise<Object>} Delivery record with the result of every attempt
+ */
+export async function deliverWebhook(url, payload, options = {}) {
+  const {
+    secret,
+    maxAttempts = 5,
+    retryDelay = 1000,
+    timeoutMs = 10000,
+    timeBudget = 60000,
+    onFailure,
+  } = options;
+
+  if (!secret) {
+    throw new Error('A webhook secret is required to sign deliveries');
+  }
+
+  const body = JSON.stringify(payload);
+  const delivery = {
+    id: randomUUID(),
+    url,
+    status: 'pending',
+    attempts: [],
+  };
+
+  const attemptDelivery = async () => {
+    // Each attempt is signed again so its timestamp stays fresh
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = {
+      attempt: delivery.attempts.length + 1,
+      at: new Date(startedAt).toISOString(),
+    };
+    delivery.attempts.push(attempt);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.id,
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [SIGNATURE_HEADER]: signWebhookPayload(body, secret, timestamp),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      // Network errors and timeouts are worth retrying
+      attempt.error = error.message;
+      attempt.durationMs = Date.now() - startedAt;
+      error.$retryable = true;
+      throw error;
+    }
+
+    attempt.statusCode = response.status;
+    attempt.durationMs = Date.now() - startedAt;
+
+    if (!response.ok) {
+      // Release the connection, the body of a failed attempt is not used
+      await response.body?.cancel();
+      const error = new Error(`Webhook responded with ${response.status}`);
+      error.statusCode = response.status;
+      // Client errors will not change on retry, except rate limiting
+      error.$retryable = response.status >= 500 || response.status === 429;
+      error.retryAfter = response.headers.get('retry-after') ?? undefined;
+      attempt.error = error.message;
+      throw error;
+    }
+
+    return response;
+  };
+
+  try {
+    await withRetry(attemptDelivery, {
+      maxAttempts,
+      baseDelay: retryDelay,
+      // A Retry-After of hours must not hold the caller that long
+      maxRetryAfter: timeBudget,
+      timeBudget,
+    });
+    delivery.status = 'delivered';
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.error = error.message;
+    failedDeliveries.push(delivery);
+    if (failedDeliveries.length > MAX_FAILED_DELIVERIES) {
+      failedDeliveries.shift();
+    }
+    logger.error('Error delivering webhook', {
+      operation: 'deliverWebhook',
+      error,
+    });
+    await onFailure?.(delivery);
+  }
+
+  return delivery;
+}
+
+/**
+ * Get the most recent deliveries that failed after all their attempts
+ */
+export function getFailedDeliveries() {
+  return [...failedDeliveries];
+}
+
+/**
+ * Forget the recorded failed deliveries
+ */
+export function clearFailedDeliveries() {
+  failedDeliveries.length = 0;
+}
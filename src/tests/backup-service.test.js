@@ -0,0 +1,213 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'stream';
+import { gzipSync } from 'zlib';
+import { s3Client } from '../clients/s3-client.js';
+import {
+  dynamoDBClient,
+  dynamoDBDocClient,
+} from '../clients/dynamodb-client.js';
+import * as backupService from '../services/backup-service.js';
+
+/**
+ * Keep S3 objects in memory, including multipart uploads
+ */
+function mockS3(objects = {}) {
+  const parts = {};
+  mock.method(s3Client, 'send', async (command) => {
+    const { input } = command;
+    switch (command.constructor.name) {
+      case 'CreateMultipartUploadCommand':
+        parts[input.Key] = [];
+        return { UploadId: `upload-${input.Key}` };
+      case 'UploadPartCommand':
+        parts[input.Key][input.PartNumber - 1] = Buffer.from(input.Body);
+        return { ETag: `etag-${input.PartNumber}` };
+      case 'CompleteMultipartUploadCommand':
+        objects[input.Key] = Buffer.concat(parts[input.Key]);
+        return {};
+      case 'PutObjectCommand':
+        objects[input.Key] = Buffer.from(input.Body);
+        return {};
+      case 'GetObjectCommand':
+        return { Body: Readable.from([objects[input.Key]]) };
+      default:
+        throw new Error(`Unexpected command: ${command.constructor.name}`);
+    }
+  });
+  return objects;
+}
+
+/**
+ * Serve `items` from Scan and collect BatchWrite puts in `written`
+ */
+function mockDynamoDB(items, { failOnBatch } = {}) {
+  const written = [];
+  let batches = 0;
+  mock.method(dynamoDBDocClient, 'send', async (command) => {
+    const { input } = command;
+    switch (command.constructor.name) {
+      case 'ScanCommand':
+        return { Items: items };
+      case 'BatchWriteCommand':
+        if (++batches === failOnBatch) {
+          throw new Error('Service unavailable');
+        }
+        Object.values(input.RequestItems)[0].forEach((request) =>
+          written.push(request.PutRequest.Item)
+        );
+        return { UnprocessedItems: {} };
+      default:
+        throw new Error(`Unexpected command: ${command.constructor.name}`);
+    }
+  });
+  mock.method(dynamoDBClient, 'send', async (command) => {
+    switch (command.constructor.name) {
+      case 'DescribeTableCommand':
+        return {
+          Table: { KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] },
+        };
+      case 'DescribeTimeToLiveCommand':
+        return { TimeToLiveDescription: { TimeToLiveStatus: 'DISABLED' } };
+      default:
+        throw new Error(`Unexpected command: ${command.constructor.name}`);
+    }
+  });
+  return written;
+}
+
+const items = [
+  { id: '1', name: 'Ana', tags: new Set(['a', 'b']), score: 10.5 },
+  { id: '2', avatar: new Uint8Array([1, 2, 3]), nested: { list: [1, 'x'] } },
+  { id: '3', active: true, nothing: null },
+];
+
+describe('Backup Service', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should export a table and import it back unchanged', async () => {
+    const objects = mockS3();
+    const written = mockDynamoDB(items);
+
+    const manifest = await backupService.exportTableToS3('users', 'backups', {
+      prefix: 'exports/users/1',
+    });
+
+    assert.strictEqual(manifest.manifestKey, 'exports/users/1/manifest.json');
+    assert.strictEqual(manifest.dataKey, 'exports/users/1/data.jsonl.gz');
+    assert.strictEqual(manifest.itemCount, 3);
+    assert.strictEqual(manifest.sizeBytes, objects[manifest.dataKey].length);
+    assert.match(manifest.checksum.value, /^[0-9a-f]{64}$/);
+
+    const stored = JSON.parse(objects[manifest.manifestKey]);
+    assert.strictEqual(stored.checksum.value, manifest.checksum.value);
+
+    const result = await backupService.importTableFromS3(
+      'backups',
+      manifest.manifestKey,
+      'users-staging'
+    );
+
+    assert.deepStrictEqual(result, {
+      tableName: 'users-staging',
+      itemCount: 3,
+      importedCount: 3,
+      skippedCount: 0,
+    });
+    assert.deepStrictEqual(written[0].tags, new Set(['a', 'b']));
+    assert.deepStrictEqual(
+      Buffer.from(written[1].avatar),
+      Buffer.from([1, 2, 3])
+    );
+    assert.deepStrictEqual(written[1].nested, { list: [1, 'x'] });
+    assert.strictEqual(written[2].nothing, null);
+  });
+
+  test('a dry run should report problems without writing', async () => {
+    const lines = [
+      JSON.stringify({ Item: { id: { S: '1' } } }),
+      'not json',
+      JSON.stringify({ Item: { name: { S: 'no key' } } }),
+    ];
+    const data = gzipSync(`${lines.join('\n')}\n`);
+    mockS3({
+      'exports/users/manifest.json': JSON.stringify({
+        tableName: 'users',
+        dataKey: 'exports/users/data.jsonl.gz',
+        itemCount: 4,
+        checksum: { algorithm: 'sha256', value: 'bad' },
+      }),
+      'exports/users/data.jsonl.gz': data,
+    });
+    const written = mockDynamoDB([]);
+
+    const report = await backupService.importTableFromS3(
+      'backups',
+      'exports/users/manifest.json',
+      undefined,
+      { dryRun: true }
+    );
+
+    assert.strictEqual(report.valid, false);
+    assert.strictEqual(report.tableName, 'users');
+    assert.strictEqual(report.itemCount, 3);
+    assert.deepStrictEqual(report.problems, [
+      'checksum does not match the manifest',
+      'found 3 items, manifest records 4',
+    ]);
+    assert.deepStrictEqual(
+      report.errors.map((error) => error.line),
+      [2, 3]
+    );
+    assert.match(report.errors[1].message, /Missing key attributes: id/);
+    assert.strictEqual(written.length, 0);
+  });
+
+  test('should expose resumeFrom on failure and resume from it', async () => {
+    const objects = mockS3();
+    mockDynamoDB(
+      Array.from({ length: 5 }, (_, index) => ({ id: String(index) }))
+    );
+    const { manifestKey } = await backupService.exportTableToS3(
+      'users',
+      'backups'
+    );
+    assert.match(manifestKey, /^exports\/users\/.+\/manifest\.json$/);
+
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mockS3(objects);
+    mockDynamoDB([], { failOnBatch: 2 });
+
+    const error = await backupService
+      .importTableFromS3('backups', manifestKey, 'users', { batchSize: 2 })
+      .catch((failure) => failure);
+    assert.strictEqual(error.message, 'Service unavailable');
+    assert.strictEqual(error.resumeFrom, 2);
+
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mockS3(objects);
+    const written = mockDynamoDB([]);
+
+    const result = await backupService.importTableFromS3(
+      'backups',
+      manifestKey,
+      'users',
+      { batchSize: 2, resumeFrom: error.resumeFrom }
+    );
+
+    assert.deepStrictEqual(
+      written.map((item) => item.id),
+      ['2', '3', '4']
+    );
+    assert.strictEqual(result.importedCount, 3);
+    assert.strictEqual(result.skippedCount, 2);
+  });
+});
@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ListBucketsCommand } from '@aws-sdk/client-s3';
+import { GetCommand } from '@aws-sdk/lib-dynamodb';
+import { NodeHttpHandler } from '@smithy/node-http-handler';
+import { getClientConfig, loadConfig } from '../config/aws-config.js';
+import { s3Client } from '../clients/s3-client.js';
+import { dynamoDBDocClient } from '../clients/dynamodb-client.js';
+import { registerMiddleware } from '../clients/middleware.js';
+
+describe('Client settings', () => {
+  test('should build retry, timeout and agent settings from config', async () => {
+    const { aws } = loadConfig({
+      AWS_REGION: 'eu-west-1',
+      AWS_RETRY_MODE: 'adaptive',
+      AWS_MAX_ATTEMPTS: '5',
+      AWS_CONNECTION_TIMEOUT_MS: '1000',
+      AWS_REQUEST_TIMEOUT_MS: '3000',
+      AWS_MAX_SOCKETS: '10',
+      AWS_USER_AGENT_SUFFIX: 'my-app/1.2.0',
+    });
+
+    const clientConfig = getClientConfig('dynamodb', aws);
+
+    assert.strictEqual(clientConfig.retryMode, 'adaptive');
+    assert.strictEqual(clientConfig.maxAttempts, 5);
+    assert.strictEqual(clientConfig.customUserAgent, 'my-app/1.2.0');
+    assert.ok(clientConfig.requestHandler instanceof NodeHttpHandler);
+
+    const handlerConfig = await clientConfig.requestHandler.configProvider;
+    assert.strictEqual(handlerConfig.connectionTimeout, 1000);
+    assert.strictEqual(handlerConfig.requestTimeout, 3000);
+    assert.strictEqual(handlerConfig.httpsAgent.maxSockets, 10);
+    assert.strictEqual(handlerConfig.httpsAgent.keepAlive, true);
+  });
+
+  test('should reject an unknown retry mode', () => {
+    assert.ok(
+      loadConfig({ AWS_RETRY_MODE: 'legacy' }).errors.includes(
+        'AWS_RETRY_MODE must be one of standard, adaptive'
+      )
+    );
+  });
+
+  test('shared clients should use the configured retry settings', async () => {
+    const retryStrategy = await s3Client.config.retryStrategy();
+    assert.strictEqual(retryStrategy.mode, 'standard');
+    assert.strictEqual(await s3Client.config.maxAttempts(), 3);
+  });
+});
+
+describe('Client middleware', () => {
+  // Answers every command at the initialize step, so nothing is sent
+  const shortCircuit = (commands) => () => async (args) => {
+    commands.push(args.input);
+    return { output: { $metadata: {} }, response: {} };
+  };
+
+  test('should add a middleware to every shared client', async () => {
+    const commands = [];
+    const remove = registerMiddleware(shortCircuit(commands), {
+      step: 'initialize',
+      name: 'testShortCircuit',
+    });
+
+    try {
+      await s3Client.send(new ListBucketsCommand({}));
+      await dynamoDBDocClient.send(
+        new GetCommand({ TableName: 'users', Key: { id: '1' } })
+      );
+    } finally {
+      remove();
+    }
+
+    assert.strictEqual(commands.length, 2);
+    assert.strictEqual(commands[1].TableName, 'users');
+  });
+
+  test('should limit a middleware to the given services and remove it', async () => {
+    const s3Middleware = s3Client.middlewareStack.identify().length;
+    const dynamoDBMiddleware =
+      dynamoDBDocClient.middlewareStack.identify().length;
+
+    const commands = [];
+    const remove = registerMiddleware(shortCircuit(commands), {
+      step: 'initialize',
+      services: ['s3'],
+    });
+    assert.strictEqual(
+      dynamoDBDocClient.middlewareStack.identify().length,
+      dynamoDBMiddleware
+    );
+    await s3Client.send(new ListBucketsCommand({}));
+    remove();
+
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(
+      s3Client.middlewareStack.identify().length,
+      s3Middleware
+    );
+    assert.throws(
+      () => registerMiddleware(shortCircuit([]), { services: ['sqs'] }),
+      /Unknown clients: sqs/
+    );
+  });
+});
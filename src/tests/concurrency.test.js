@@ -0,0 +1,28 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+describe('Concurrency Utils', () => {
+  test('should keep results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms) => {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      return ms * 2;
+    });
+
+    assert.deepStrictEqual(results, [60, 20, 40]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+    });
+
+    assert.strictEqual(maxRunning, 2);
+  });
+});
@@ -1,6 +1,13 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { awsConfig, validateConfig } from '../config/aws-config.js';
+import {
+  awsConfig,
+  projectConfig,
+  loadConfig,
+  getClientConfig,
+  validateConfig,
+} from '../config/aws-config.js';
+import { ConfigValidationError } from '../utils/error-handler.js';
 
 describe('AWS Configuration', () => {
   test('should have valid aws config', () => {
@@ -16,7 +23,162 @@ describe('AWS Configuration', () => {
       assert.ok(true, 'Configuración válida');
     } catch (error) {
       // En un entorno de desarrollo sin configuración, esto es esperado
-      assert.ok(error.message.includes('Variables de entorno faltantes'));
+      assert.ok(error instanceof ConfigValidationError);
+      assert.ok(error.message.includes('Invalid configuration'));
     }
   });
 });
+
+describe('Local endpoints', () => {
+  // Only the settings that depend on local mode
+  const endpointSettings = (service, config) => {
+    const { region, endpoint, credentials, forcePathStyle } = getClientConfig(
+      service,
+      config
+    );
+    return JSON.parse(
+      JSON.stringify({ region, endpoint, credentials, forcePathStyle })
+    );
+  };
+
+  test('should leave endpoints and credentials to the SDK by default', () => {
+    const config = loadConfig({ AWS_REGION: 'eu-west-1' }).aws;
+
+    assert.deepStrictEqual(endpointSettings('s3', config), {
+      region: 'eu-west-1',
+      forcePathStyle: false,
+    });
+    assert.deepStrictEqual(endpointSettings('dynamodb', config), {
+      region: 'eu-west-1',
+    });
+  });
+
+  test('should point every service to LocalStack in local mode', () => {
+    const config = loadConfig({ AWS_LOCAL: 'true' }).aws;
+
+    assert.deepStrictEqual(endpointSettings('s3', config), {
+      region: 'us-east-1',
+      endpoint: 'http://localhost:4566',
+      credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+      forcePathStyle: true,
+    });
+    assert.strictEqual(
+      getClientConfig('dynamodb', config).endpoint,
+      'http://localhost:4566'
+    );
+  });
+
+  test('should allow per-service endpoints and real local credentials', () => {
+    const config = loadConfig({
+      AWS_LOCAL: 'true',
+      AWS_ACCESS_KEY_ID: 'minioadmin',
+      AWS_SECRET_ACCESS_KEY: 'minioadmin',
+      S3_ENDPOINT: 'http://localhost:9000',
+      DYNAMODB_ENDPOINT: 'http://localhost:8000',
+      S3_FORCE_PATH_STYLE: 'false',
+    }).aws;
+
+    const s3 = getClientConfig('s3', config);
+    assert.strictEqual(s3.endpoint, 'http://localhost:9000');
+    assert.strictEqual(s3.forcePathStyle, false);
+    assert.strictEqual(s3.credentials, undefined);
+    assert.strictEqual(
+      getClientConfig('dynamodb', config).endpoint,
+      'http://localhost:8000'
+    );
+  });
+
+  test('validateConfig should not require a region in local mode', () => {
+    assert.doesNotThrow(() =>
+      validateConfig({
+        APP_ENV: 'staging',
+        AWS_LOCAL: 'true',
+        S3_BUCKET_NAME: 'local-bucket',
+        DYNAMODB_TABLE_NAME: 'local-table',
+      })
+    );
+  });
+});
+
+describe('Configuration schema', () => {
+  const validEnv = {
+    AWS_REGION: 'eu-west-1',
+    S3_BUCKET_NAME: 'my-bucket',
+    DYNAMODB_TABLE_NAME: 'my-table',
+  };
+
+  test('should report every problem in one error', () => {
+    assert.throws(
+      () =>
+        validateConfig({
+          APP_ENV: 'staging',
+          AWS_REGION: 'moon-base-1',
+          S3_BUCKET_NAME: 'My_Bucket',
+          S3_URL_EXPIRES_IN: '-5',
+          S3_ENDPOINT: 'localhost:9000',
+          S3_FORCE_PATH_STYLE: 'yes',
+          AWS_ACCESS_KEY_ID: 'key-without-secret',
+        }),
+      (error) => {
+        assert.ok(error instanceof ConfigValidationError);
+        assert.strictEqual(error.environment, 'staging');
+        assert.deepStrictEqual(error.errors, [
+          'AWS_REGION "moon-base-1" is not a valid AWS region',
+          'S3_ENDPOINT must be an http(s) URL',
+          'S3_FORCE_PATH_STYLE must be "true" or "false"',
+          'S3_BUCKET_NAME "My_Bucket" is not a valid S3 bucket name',
+          'S3_URL_EXPIRES_IN must be a positive integer',
+          'DYNAMODB_TABLE_NAME is required',
+          'AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY must be set together',
+        ]);
+        assert.match(
+          error.message,
+          /^Invalid configuration \(staging\):\n {2}- /
+        );
+        return true;
+      }
+    );
+  });
+
+  test('should apply the environment overlay below environment variables', () => {
+    const production = loadConfig({ ...validEnv, APP_ENV: 'production' });
+    assert.strictEqual(production.environment, 'production');
+    assert.strictEqual(production.project.s3.urlExpiresIn, 900);
+    assert.strictEqual(production.project.dynamodb.linkDurationMinutes, 15);
+
+    const overridden = loadConfig({
+      ...validEnv,
+      APP_ENV: 'production',
+      S3_URL_EXPIRES_IN: '300',
+    });
+    assert.strictEqual(overridden.project.s3.urlExpiresIn, 300);
+    assert.deepStrictEqual(overridden.errors, []);
+  });
+
+  test('should accept any region with a valid format', () => {
+    ['ap-southeast-7', 'us-gov-west-1', 'us-isob-east-1'].forEach((region) => {
+      assert.deepStrictEqual(
+        loadConfig({ ...validEnv, AWS_REGION: region }).errors,
+        []
+      );
+    });
+    assert.deepStrictEqual(
+      loadConfig({ ...validEnv, AWS_REGION: 'EU-WEST-1' }).errors,
+      ['AWS_REGION "EU-WEST-1" is not a valid AWS region']
+    );
+  });
+
+  test('should reject unknown environments', () => {
+    assert.deepStrictEqual(loadConfig({ ...validEnv, APP_ENV: 'qa' }).errors, [
+      'APP_ENV must be one of development, staging, production (got "qa")',
+    ]);
+  });
+
+  test('should expose a frozen projectConfig', () => {
+    assert.ok(Object.isFrozen(projectConfig));
+    assert.ok(Object.isFrozen(projectConfig.s3));
+    assert.throws(() => {
+      projectConfig.s3.bucketName = 'other';
+    }, TypeError);
+  });
+});
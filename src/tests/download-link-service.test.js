@@ -0,0 +1,236 @@
+import { test, describe, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { dynamoDBDocClient } from '../clients/dynamodb-client.js';
+import * as downloadLinkService from '../services/download-link-service.js';
+
+/**
+ * In-memory stand-in for the links table
+ */
+function mockLinksTable() {
+  const items = new Map();
+  const calls = [];
+  mock.method(dynamoDBDocClient, 'send', async (command) => {
+    const name = command.constructor.name;
+    const input = command.input;
+    calls.push({ name, input });
+
+    if (name === 'PutCommand') {
+      items.set(input.Item.token, input.Item);
+      return {};
+    }
+    if (name === 'GetCommand') {
+      return { Item: items.get(input.Key.token) };
+    }
+    if (name === 'UpdateCommand') {
+      const item = items.get(input.Key.token);
+      if (!item) {
+        throw Object.assign(new Error('The conditional request failed'), {
+          name: 'ConditionalCheckFailedException',
+        });
+      }
+      // Only "SET #a = :v0, #b = :v1" updates are sent by the service
+      input.UpdateExpression.replace(/^SET /, '')
+        .split(', ')
+        .forEach((assignment) => {
+          const [namePlaceholder, valuePlaceholder] = assignment.split(' = ');
+          item[input.ExpressionAttributeNames[namePlaceholder]] =
+            input.ExpressionAttributeValues[valuePlaceholder];
+        });
+      return { Attributes: item };
+    }
+    if (name === 'QueryCommand') {
+      const values = input.ExpressionAttributeValues;
+      const found = [...items.values()].filter(
+        (item) =>
+          item.userId === values[':userId'] && item.expiresAt > values[':now']
+      );
+      return { Items: found, Count: found.length };
+    }
+    throw new Error(`Unexpected command: ${name}`);
+  });
+  return { items, calls };
+}
+
+describe('Download Link Registry', () => {
+  before(() => {
+    // Presigned URLs are signed locally, dummy credentials are enough
+    process.env.AWS_ACCESS_KEY_ID ||= 'test-access-key';
+    process.env.AWS_SECRET_ACCESS_KEY ||= 'test-secret-key';
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should save links with an opaque token and a TTL', async () => {
+    const { items } = mockLinksTable();
+
+    const link = await downloadLinkService.createDownloadLink(
+      {
+        bucketName: 'test-bucket',
+        fileKey: 'docs/report.pdf',
+        userId: 'user-1',
+        purpose: 'invoice',
+        durationMinutes: 10,
+      },
+      'links-table'
+    );
+
+    assert.match(link.token, /^[A-Za-z0-9_-]{22}$/);
+    assert.ok(!link.token.includes('report'));
+    assert.strictEqual(items.get(link.token).purpose, 'invoice');
+    assert.strictEqual(link.ttl, Math.ceil(Date.parse(link.expiresAt) / 1000));
+  });
+
+  test('should resolve a token into a presigned URL', async () => {
+    mockLinksTable();
+    const link = await downloadLinkService.createDownloadLink(
+      { bucketName: 'test-bucket', fileKey: 'docs/report.pdf', userId: 'u' },
+      'links-table'
+    );
+
+    const resolved = await downloadLinkService.resolveDownloadLink(
+      link.token,
+      60,
+      'links-table'
+    );
+
+    assert.ok(resolved.downloadUrl.includes('docs/report.pdf'));
+    assert.ok(resolved.downloadUrl.includes('X-Amz-Expires=60'));
+  });
+
+  test('should stop resolving a link once it is revoked', async () => {
+    mockLinksTable();
+    const link = await downloadLinkService.createDownloadLink(
+      { bucketName: 'test-bucket', fileKey: 'file.txt', userId: 'user-2' },
+      'links-table'
+    );
+
+    await downloadLinkService.revokeDownloadLink(link.token, 'links-table');
+
+    assert.strictEqual(
+      await downloadLinkService.resolveDownloadLink(
+        link.token,
+        60,
+        'links-table'
+      ),
+      null
+    );
+    assert.deepStrictEqual(
+      await downloadLinkService.listActiveLinks('user-2', 'links-table'),
+      []
+    );
+  });
+
+  test('should revoke with a conditional update and read consistently', async () => {
+    const { calls } = mockLinksTable();
+    const link = await downloadLinkService.createDownloadLink(
+      { bucketName: 'test-bucket', fileKey: 'file.txt', userId: 'user-5' },
+      'links-table'
+    );
+
+    const revoked = await downloadLinkService.revokeDownloadLink(
+      link.token,
+      'links-table'
+    );
+    await downloadLinkService.resolveDownloadLink(
+      link.token,
+      60,
+      'links-table'
+    );
+
+    assert.strictEqual(revoked.revoked, true);
+    assert.ok(revoked.revokedAt);
+    const update = calls.find((call) => call.name === 'UpdateCommand');
+    assert.strictEqual(
+      update.input.ConditionExpression,
+      'attribute_exists(#token)'
+    );
+    assert.strictEqual(
+      calls.filter((call) => call.name === 'PutCommand').length,
+      1,
+      'Only the creation should put the item'
+    );
+    const get = calls.find((call) => call.name === 'GetCommand');
+    assert.strictEqual(get.input.ConsistentRead, true);
+  });
+
+  test('should not bring back a link that no longer exists', async () => {
+    const { items } = mockLinksTable();
+
+    assert.strictEqual(
+      await downloadLinkService.revokeDownloadLink('gone', 'links-table'),
+      null
+    );
+    assert.strictEqual(items.size, 0);
+  });
+
+  test('should not resolve expired links still present in the table', async () => {
+    const { items } = mockLinksTable();
+    items.set('old-token', {
+      token: 'old-token',
+      bucketName: 'test-bucket',
+      fileKey: 'file.txt',
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+      revoked: false,
+    });
+
+    const resolved = await downloadLinkService.resolveDownloadLink(
+      'old-token',
+      60,
+      'links-table'
+    );
+    assert.strictEqual(resolved, null);
+  });
+
+  test('should list active links through the user index', async () => {
+    const { calls } = mockLinksTable();
+    await downloadLinkService.createDownloadLink(
+      { bucketName: 'b', fileKey: 'a.txt', userId: 'user-3' },
+      'links-table'
+    );
+
+    const links = await downloadLinkService.listActiveLinks(
+      'user-3',
+      'links-table'
+    );
+
+    assert.strictEqual(links.length, 1);
+    const query = calls.find((call) => call.name === 'QueryCommand');
+    assert.strictEqual(
+      query.input.IndexName,
+      downloadLinkService.USER_INDEX_NAME
+    );
+  });
+
+  test('should read every page of the user index', async () => {
+    const pages = [
+      {
+        Items: [{ token: 't1', userId: 'user-4' }],
+        LastEvaluatedKey: { token: 't1' },
+      },
+      {
+        Items: [
+          { token: 't2', userId: 'user-4' },
+          { token: 't3', userId: 'user-4', revoked: true },
+        ],
+      },
+    ];
+    const startKeys = [];
+    mock.method(dynamoDBDocClient, 'send', async (command) => {
+      startKeys.push(command.input.ExclusiveStartKey);
+      return pages[startKeys.length - 1];
+    });
+
+    const links = await downloadLinkService.listActiveLinks(
+      'user-4',
+      'links-table'
+    );
+
+    assert.deepStrictEqual(
+      links.map((link) => link.token),
+      ['t1', 't2']
+    );
+    assert.deepStrictEqual(startKeys, [undefined, { token: 't1' }]);
+  });
+});
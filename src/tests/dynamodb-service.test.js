@@ -0,0 +1,955 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+  dynamoDBClient,
+  dynamoDBDocClient,
+} from '../clients/dynamodb-client.js';
+import * as dynamoService from '../services/dynamodb-service.js';
+import {
+  ConditionFailedError,
+  VersionConflictError,
+  TransactionCanceledError,
+} from '../utils/error-handler.js';
+
+/**
+ * Replace client.send with a handler keyed by command name
+ */
+function mockSend(handlers, client = dynamoDBDocClient) {
+  const calls = [];
+  mock.method(client, 'send', async (command) => {
+    const name = command.constructor.name;
+    calls.push({ name, input: command.input });
+    const handler = handlers[name];
+    if (!handler) {
+      throw new Error(`Unexpected command: ${name}`);
+    }
+    return handler(command.input, calls.length);
+  });
+  return calls;
+}
+
+describe('DynamoDB Service - updateItem', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should build the update and return the requested values', async () => {
+    const calls = mockSend({
+      UpdateCommand: () => ({ Attributes: { id: '1', status: 'sent' } }),
+    });
+
+    const result = await dynamoService.updateItem(
+      'orders',
+      { id: '1' },
+      { id: '1', status: 'sent', retries: { $add: 1 } },
+      { condition: { status: 'draft' }, returnValues: 'ALL_NEW' }
+    );
+
+    const { input } = calls[0];
+    assert.strictEqual(
+      input.UpdateExpression,
+      'SET #status = :v0 ADD #retries :v1'
+    );
+    assert.strictEqual(input.ConditionExpression, '#status = :v2');
+    assert.strictEqual(input.ReturnValues, 'ALL_NEW');
+    assert.deepStrictEqual(result, { id: '1', status: 'sent' });
+  });
+
+  test('should throw ConditionFailedError with the current item', async () => {
+    mockSend({
+      UpdateCommand: () => {
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        error.Item = { id: { S: '1' }, status: { S: 'sent' } };
+        throw error;
+      },
+    });
+
+    await assert.rejects(
+      dynamoService.updateItem(
+        'orders',
+        { id: '1' },
+        { status: 'cancelled' },
+        { condition: { status: 'draft' } }
+      ),
+      (error) => {
+        assert.ok(error instanceof ConditionFailedError);
+        assert.deepStrictEqual(error.item, { id: '1', status: 'sent' });
+        assert.strictEqual(error.cause.name, 'ConditionalCheckFailedException');
+        return true;
+      }
+    );
+  });
+
+  test('should accept a raw condition expression', async () => {
+    const calls = mockSend({ UpdateCommand: () => ({}) });
+
+    await dynamoService.updateItem(
+      'orders',
+      { id: '1' },
+      { total: 10 },
+      {
+        conditionExpression: 'attribute_exists(#id)',
+        expressionAttributeNames: { '#id': 'id' },
+      }
+    );
+
+    assert.strictEqual(
+      calls[0].input.ConditionExpression,
+      'attribute_exists(#id)'
+    );
+    assert.deepStrictEqual(calls[0].input.ExpressionAttributeNames, {
+      '#total': 'total',
+      '#id': 'id',
+    });
+  });
+
+  test('should not let raw values replace generated ones', async () => {
+    const calls = mockSend({ UpdateCommand: () => ({}) });
+
+    await assert.rejects(
+      dynamoService.updateItem(
+        'orders',
+        { id: '1' },
+        { status: 'shipped' },
+        {
+          conditionExpression: '#status = :v0',
+          expressionAttributeValues: { ':v0': 'paid' },
+        }
+      ),
+      /Placeholder :v0 is already used/
+    );
+    assert.strictEqual(calls.length, 0);
+  });
+});
+
+describe('DynamoDB Service - batch operations', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should split reads into chunks of 100 keys', async () => {
+    const calls = mockSend({
+      BatchGetCommand: (input) => ({
+        Responses: { users: input.RequestItems.users.Keys },
+      }),
+    });
+    const keys = Array.from({ length: 250 }, (_, index) => ({ id: index }));
+
+    const { items, unprocessedKeys } = await dynamoService.batchGetItems(
+      'users',
+      keys
+    );
+
+    assert.deepStrictEqual(
+      calls.map((call) => call.input.RequestItems.users.Keys.length),
+      [100, 100, 50]
+    );
+    assert.strictEqual(items.length, 250);
+    assert.deepStrictEqual(unprocessedKeys, []);
+  });
+
+  test('should retry unprocessed keys until they are read', async () => {
+    let firstCall = true;
+    const calls = mockSend({
+      BatchGetCommand: (input) => {
+        const requested = input.RequestItems.users.Keys;
+        if (firstCall) {
+          firstCall = false;
+          return {
+            Responses: { users: requested.slice(0, 1) },
+            UnprocessedKeys: { users: { Keys: requested.slice(1) } },
+          };
+        }
+        return { Responses: { users: requested } };
+      },
+    });
+
+    const { items } = await dynamoService.batchGetItems(
+      'users',
+      [{ id: 1 }, { id: 2 }, { id: 3 }],
+      { retryDelay: 1 }
+    );
+
+    assert.strictEqual(items.length, 3);
+    assert.strictEqual(calls[1].input.RequestItems.users.Keys.length, 2);
+  });
+
+  test('should split writes into chunks of 25 and report what never succeeded', async () => {
+    const calls = mockSend({
+      BatchWriteCommand: (input) => {
+        const requests = input.RequestItems.users;
+        const stuck = requests.filter(
+          (request) => request.DeleteRequest?.Key.id === 'stuck'
+        );
+        return { UnprocessedItems: stuck.length ? { users: stuck } : {} };
+      },
+    });
+    const puts = Array.from({ length: 30 }, (_, index) => ({ id: index }));
+
+    const result = await dynamoService.batchWriteItems(
+      'users',
+      { puts, deletes: [{ id: 'stuck' }] },
+      { maxAttempts: 3, retryDelay: 1 }
+    );
+
+    // 2 chunks (25 + 6) plus 2 retries of the stuck delete
+    assert.strictEqual(calls.length, 4);
+    assert.strictEqual(calls[0].input.RequestItems.users.length, 25);
+    assert.strictEqual(result.processedCount, 30);
+    assert.deepStrictEqual(result.unprocessedItems, [
+      { delete: { id: 'stuck' } },
+    ]);
+  });
+});
+
+describe('DynamoDB Service - scan and query iterators', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const collect = async (iterator) => {
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
+    }
+    return items;
+  };
+
+  test('should follow LastEvaluatedKey until the last page', async () => {
+    const calls = mockSend({
+      QueryCommand: (input) =>
+        input.ExclusiveStartKey
+          ? { Items: [{ id: 3 }] }
+          : { Items: [{ id: 1 }, { id: 2 }], LastEvaluatedKey: { id: 2 } },
+    });
+
+    const items = await collect(
+      dynamoService.iterateQuery('orders', 'pk = :pk', { ':pk': 'USER#1' })
+    );
+
+    assert.deepStrictEqual(items, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+    assert.deepStrictEqual(calls[1].input.ExclusiveStartKey, { id: 2 });
+  });
+
+  test('should stop reading pages at maxItems', async () => {
+    const calls = mockSend({
+      ScanCommand: () => ({
+        Items: [{ id: 1 }, { id: 2 }],
+        LastEvaluatedKey: { id: 2 },
+      }),
+    });
+
+    const items = await collect(
+      dynamoService.iterateScan('orders', { maxItems: 3 })
+    );
+
+    assert.strictEqual(items.length, 3);
+    assert.strictEqual(calls.length, 2);
+  });
+
+  test('should scan every segment with bounded concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const calls = mockSend({
+      ScanCommand: async (input) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        return input.ExclusiveStartKey
+          ? { Items: [{ segment: input.Segment, page: 2 }] }
+          : {
+              Items: [{ segment: input.Segment, page: 1 }],
+              LastEvaluatedKey: { id: input.Segment },
+            };
+      },
+    });
+
+    const items = await collect(
+      dynamoService.iterateScan('orders', { totalSegments: 4, concurrency: 2 })
+    );
+
+    assert.strictEqual(items.length, 8);
+    assert.deepStrictEqual(
+      [...new Set(calls.map((call) => call.input.Segment))].sort(),
+      [0, 1, 2, 3]
+    );
+    assert.ok(calls.every((call) => call.input.TotalSegments === 4));
+    assert.ok(maxRunning <= 2);
+  });
+});
+
+describe('DynamoDB Service - query options', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should build key conditions, filters and projections from objects', async () => {
+    const calls = mockSend({ QueryCommand: () => ({ Items: [], Count: 0 }) });
+
+    await dynamoService.queryItems('orders', {
+      indexName: 'status-index',
+      key: { pk: 'USER#1', sk: { beginsWith: 'ORDER#' } },
+      filter: { status: { ne: 'cancelled' } },
+      projection: ['sk', 'name', 'status'],
+      reverse: true,
+      consistentRead: true,
+      limit: 10,
+    });
+
+    const { input } = calls[0];
+    assert.strictEqual(input.IndexName, 'status-index');
+    assert.strictEqual(
+      input.KeyConditionExpression,
+      '#pk = :v0 AND begins_with(#sk, :v1)'
+    );
+    assert.strictEqual(input.FilterExpression, '#status <> :v2');
+    assert.strictEqual(input.ProjectionExpression, '#sk, #name, #status');
+    assert.deepStrictEqual(input.ExpressionAttributeNames, {
+      '#pk': 'pk',
+      '#sk': 'sk',
+      '#status': 'status',
+      '#name': 'name',
+    });
+    assert.deepStrictEqual(input.ExpressionAttributeValues, {
+      ':v0': 'USER#1',
+      ':v1': 'ORDER#',
+      ':v2': 'cancelled',
+    });
+    assert.strictEqual(input.ScanIndexForward, false);
+    assert.strictEqual(input.ConsistentRead, true);
+    assert.strictEqual(input.Limit, 10);
+  });
+
+  test('should keep supporting raw expressions', async () => {
+    const calls = mockSend({ QueryCommand: () => ({ Items: [], Count: 0 }) });
+
+    await dynamoService.queryItems(
+      'orders',
+      '#name = :name',
+      { ':name': 'Ana' },
+      { expressionAttributeNames: { '#name': 'name' } }
+    );
+
+    const { input } = calls[0];
+    assert.strictEqual(input.KeyConditionExpression, '#name = :name');
+    assert.deepStrictEqual(input.ExpressionAttributeNames, { '#name': 'name' });
+    assert.deepStrictEqual(input.ExpressionAttributeValues, { ':name': 'Ana' });
+  });
+
+  test('should reject raw values that clash with filter placeholders', async () => {
+    const calls = mockSend({ QueryCommand: () => ({ Items: [] }) });
+
+    await assert.rejects(
+      dynamoService.queryItems(
+        'orders',
+        'pk = :v0',
+        { ':v0': 'USER#1' },
+        { filter: { status: 'paid' } }
+      ),
+      /Placeholder :v0 is already used/
+    );
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('should apply query options in the iterator too', async () => {
+    const calls = mockSend({ QueryCommand: () => ({ Items: [{ id: 1 }] }) });
+
+    for await (const item of dynamoService.iterateQuery('orders', {
+      key: { pk: 'USER#1' },
+      reverse: true,
+      pageSize: 50,
+    })) {
+      assert.deepStrictEqual(item, { id: 1 });
+    }
+
+    assert.strictEqual(calls[0].input.KeyConditionExpression, '#pk = :v0');
+    assert.strictEqual(calls[0].input.ScanIndexForward, false);
+    assert.strictEqual(calls[0].input.Limit, 50);
+  });
+});
+
+describe('DynamoDB Service - transactions', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should build every kind of write operation', async () => {
+    const calls = mockSend({ TransactWriteCommand: () => ({}) });
+
+    await dynamoService.transactWrite(
+      [
+        {
+          put: {
+            tableName: 'orders',
+            item: { id: 'o1', total: 10 },
+            condition: { id: { exists: false } },
+          },
+        },
+        {
+          update: {
+            tableName: 'stock',
+            key: { sku: 'A' },
+            changes: { units: { $add: -1 } },
+            condition: { units: { gt: 0 } },
+          },
+        },
+        { delete: { tableName: 'carts', key: { userId: 'u1' } } },
+        {
+          conditionCheck: {
+            tableName: 'users',
+            key: { userId: 'u1' },
+            condition: { status: 'active' },
+          },
+        },
+      ],
+      { clientRequestToken: 'order-o1' }
+    );
+
+    const { TransactItems, ClientRequestToken } = calls[0].input;
+    assert.strictEqual(ClientRequestToken, 'order-o1');
+    assert.strictEqual(
+      TransactItems[0].Put.ConditionExpression,
+      'attribute_not_exists(#id)'
+    );
+    assert.strictEqual(
+      TransactItems[1].Update.UpdateExpression,
+      'ADD #units :v0'
+    );
+    assert.strictEqual(
+      TransactItems[1].Update.ConditionExpression,
+      '#units > :v1'
+    );
+    assert.deepStrictEqual(TransactItems[2].Delete.Key, { userId: 'u1' });
+    assert.deepStrictEqual(
+      TransactItems[3].ConditionCheck.ExpressionAttributeValues,
+      { ':v0': 'active' }
+    );
+  });
+
+  test('should turn cancellation reasons into per-operation errors', async () => {
+    mockSend({
+      TransactWriteCommand: () => {
+        const error = new Error('Transaction cancelled');
+        error.name = 'TransactionCanceledException';
+        error.CancellationReasons = [
+          { Code: 'None' },
+          {
+            Code: 'ConditionalCheckFailed',
+            Message: 'The conditional request failed',
+            Item: { sku: { S: 'A' }, units: { N: '0' } },
+          },
+        ];
+        throw error;
+      },
+    });
+
+    await assert.rejects(
+      dynamoService.transactWrite([
+        { put: { tableName: 'orders', item: { id: 'o1' } } },
+        {
+          update: {
+            tableName: 'stock',
+            key: { sku: 'A' },
+            changes: { units: { $add: -1 } },
+            condition: { units: { gt: 0 } },
+          },
+        },
+      ]),
+      (error) => {
+        assert.ok(error instanceof TransactionCanceledError);
+        assert.strictEqual(error.operation, 'TransactWriteItems');
+        assert.strictEqual(error.errors[0], null);
+        const [failed] = error.failedOperations;
+        assert.ok(failed instanceof ConditionFailedError);
+        assert.strictEqual(failed.operationIndex, 1);
+        assert.strictEqual(failed.tableName, 'stock');
+        assert.deepStrictEqual(failed.item, { sku: 'A', units: 0 });
+        return true;
+      }
+    );
+  });
+
+  test('should read items in order with transactGet', async () => {
+    const calls = mockSend({
+      TransactGetCommand: () => ({
+        Responses: [{ Item: { id: 'o1' } }, {}],
+      }),
+    });
+
+    const items = await dynamoService.transactGet([
+      { tableName: 'orders', key: { id: 'o1' }, projection: ['id', 'status'] },
+      { tableName: 'orders', key: { id: 'missing' } },
+    ]);
+
+    assert.deepStrictEqual(items, [{ id: 'o1' }, undefined]);
+    assert.strictEqual(
+      calls[0].input.TransactItems[0].Get.ProjectionExpression,
+      '#id, #status'
+    );
+  });
+
+  test('should report cancelled reads as TransactGetItems', async () => {
+    mockSend({
+      TransactGetCommand: () => {
+        const error = new Error('Transaction cancelled');
+        error.name = 'TransactionCanceledException';
+        error.CancellationReasons = [{ Code: 'TransactionConflict' }];
+        throw error;
+      },
+    });
+
+    await assert.rejects(
+      dynamoService.transactGet([{ tableName: 'orders', key: { id: 'o1' } }]),
+      (error) => {
+        assert.ok(error instanceof TransactionCanceledError);
+        assert.strictEqual(error.operation, 'TransactGetItems');
+        assert.strictEqual(error.failedOperations[0].operation, 'get');
+        return true;
+      }
+    );
+  });
+});
+
+describe('DynamoDB Service - optimistic locking', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const conditionFailed = (item) => () => {
+    const error = new Error('The conditional request failed');
+    error.name = 'ConditionalCheckFailedException';
+    error.Item = item;
+    throw error;
+  };
+
+  test('should create new items with version 1', async () => {
+    const calls = mockSend({ PutCommand: () => ({}) });
+
+    const result = await dynamoService.putItem(
+      'docs',
+      { id: 'd1', title: 'Draft' },
+      { optimisticLock: true }
+    );
+
+    assert.strictEqual(calls[0].input.Item.version, 1);
+    assert.strictEqual(
+      calls[0].input.ConditionExpression,
+      'attribute_not_exists(#version)'
+    );
+    assert.strictEqual(result.version, 1);
+  });
+
+  test('should increment the version read by the caller', async () => {
+    const calls = mockSend({ PutCommand: () => ({}) });
+
+    await dynamoService.putItem(
+      'docs',
+      { id: 'd1', title: 'Edited', version: 3 },
+      { optimisticLock: true }
+    );
+
+    assert.strictEqual(calls[0].input.Item.version, 4);
+    assert.strictEqual(calls[0].input.ConditionExpression, '#version = :v0');
+    assert.deepStrictEqual(calls[0].input.ExpressionAttributeValues, {
+      ':v0': 3,
+    });
+  });
+
+  test('should add the version check to updates and custom conditions', async () => {
+    const calls = mockSend({ UpdateCommand: () => ({}) });
+
+    await dynamoService.updateItem(
+      'docs',
+      { id: 'd1' },
+      { title: 'New title' },
+      {
+        optimisticLock: { attribute: 'rev' },
+        expectedVersion: 7,
+        condition: { status: 'draft' },
+      }
+    );
+
+    const { input } = calls[0];
+    assert.strictEqual(input.UpdateExpression, 'SET #title = :v0 ADD #rev :v1');
+    assert.strictEqual(
+      input.ConditionExpression,
+      '(#status = :v2) AND (#rev = :v3)'
+    );
+    assert.strictEqual(input.ExpressionAttributeValues[':v3'], 7);
+  });
+
+  test('should require the expected version to update or delete', async () => {
+    const calls = mockSend({ UpdateCommand: () => ({}) });
+
+    await assert.rejects(
+      dynamoService.updateItem(
+        'docs',
+        { id: 'd1' },
+        { title: 'x' },
+        { optimisticLock: true }
+      ),
+      /updateItem with optimisticLock needs the expectedVersion/
+    );
+    await assert.rejects(
+      dynamoService.deleteItem('docs', { id: 'd1' }, { optimisticLock: true }),
+      /deleteItem with optimisticLock needs the expectedVersion/
+    );
+    assert.strictEqual(calls.length, 0);
+
+    // The version can also come with the changes
+    await dynamoService.updateItem(
+      'docs',
+      { id: 'd1' },
+      { title: 'x', version: 2 },
+      { optimisticLock: true }
+    );
+    assert.strictEqual(calls[0].input.ExpressionAttributeValues[':v2'], 2);
+  });
+
+  test('should raise VersionConflictError with the current version', async () => {
+    mockSend({
+      DeleteCommand: conditionFailed({ id: { S: 'd1' }, version: { N: '5' } }),
+    });
+
+    await assert.rejects(
+      dynamoService.deleteItem(
+        'docs',
+        { id: 'd1' },
+        { optimisticLock: true, expectedVersion: 4 }
+      ),
+      (error) => {
+        assert.ok(error instanceof VersionConflictError);
+        assert.ok(error instanceof ConditionFailedError);
+        assert.strictEqual(error.expectedVersion, 4);
+        assert.strictEqual(error.currentVersion, 5);
+        return true;
+      }
+    );
+  });
+
+  test('should keep ConditionFailedError when only the custom condition fails', async () => {
+    mockSend({
+      UpdateCommand: conditionFailed({
+        id: { S: 'd1' },
+        version: { N: '2' },
+        status: { S: 'published' },
+      }),
+    });
+
+    await assert.rejects(
+      dynamoService.updateItem(
+        'docs',
+        { id: 'd1' },
+        { title: 'x' },
+        {
+          optimisticLock: true,
+          expectedVersion: 2,
+          condition: { status: 'draft' },
+        }
+      ),
+      (error) => {
+        assert.ok(error instanceof ConditionFailedError);
+        assert.ok(!(error instanceof VersionConflictError));
+        return true;
+      }
+    );
+  });
+});
+
+describe('DynamoDB Service - table lifecycle', () => {
+  const definition = {
+    tableName: 'app-table',
+    partitionKey: { name: 'pk' },
+    sortKey: { name: 'sk' },
+    globalIndexes: [
+      {
+        name: 'GSI1',
+        partitionKey: { name: 'gsi1pk' },
+        sortKey: { name: 'gsi1sk' },
+      },
+    ],
+    ttlAttribute: 'ttl',
+    stream: 'NEW_IMAGE',
+  };
+
+  const notFound = () => {
+    const error = new Error('Requested resource not found');
+    error.name = 'ResourceNotFoundException';
+    throw error;
+  };
+
+  const liveTable = (overrides = {}) => ({
+    TableName: 'app-table',
+    TableStatus: 'ACTIVE',
+    KeySchema: [
+      { AttributeName: 'pk', KeyType: 'HASH' },
+      { AttributeName: 'sk', KeyType: 'RANGE' },
+    ],
+    BillingModeSummary: { BillingMode: 'PAY_PER_REQUEST' },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('describeTable should return null for a missing table', async () => {
+    mockSend({ DescribeTableCommand: notFound }, dynamoDBClient);
+
+    assert.strictEqual(await dynamoService.describeTable('missing'), null);
+  });
+
+  test('should create a missing table, wait for it and enable TTL', async () => {
+    let created = false;
+    const calls = mockSend(
+      {
+        DescribeTableCommand: () => {
+          if (!created) {
+            notFound();
+          }
+          return { Table: liveTable() };
+        },
+        DescribeTimeToLiveCommand: () => ({
+          TimeToLiveDescription: { TimeToLiveStatus: 'ENABLED' },
+        }),
+        CreateTableCommand: () => {
+          created = true;
+          return {};
+        },
+        UpdateTimeToLiveCommand: () => ({}),
+      },
+      dynamoDBClient
+    );
+
+    const result = await dynamoService.applyTableDefinition(definition);
+
+    assert.strictEqual(result.created, true);
+    const createInput = calls.find(
+      (call) => call.name === 'CreateTableCommand'
+    ).input;
+    assert.deepStrictEqual(createInput.AttributeDefinitions, [
+      { AttributeName: 'pk', AttributeType: 'S' },
+      { AttributeName: 'sk', AttributeType: 'S' },
+      { AttributeName: 'gsi1pk', AttributeType: 'S' },
+      { AttributeName: 'gsi1sk', AttributeType: 'S' },
+    ]);
+    assert.strictEqual(createInput.BillingMode, 'PAY_PER_REQUEST');
+    assert.deepStrictEqual(createInput.GlobalSecondaryIndexes[0].Projection, {
+      ProjectionType: 'ALL',
+    });
+    assert.deepStrictEqual(createInput.StreamSpecification, {
+      StreamEnabled: true,
+      StreamViewType: 'NEW_IMAGE',
+    });
+    assert.deepStrictEqual(
+      calls.find((call) => call.name === 'UpdateTimeToLiveCommand').input
+        .TimeToLiveSpecification,
+      { AttributeName: 'ttl', Enabled: true }
+    );
+  });
+
+  test('should plan additive changes and report the rest in a dry run', async () => {
+    const calls = mockSend(
+      {
+        DescribeTableCommand: () => ({
+          Table: liveTable({
+            GlobalSecondaryIndexes: [
+              {
+                IndexName: 'legacy',
+                KeySchema: [{ AttributeName: 'email', KeyType: 'HASH' }],
+                IndexStatus: 'ACTIVE',
+              },
+            ],
+          }),
+        }),
+        DescribeTimeToLiveCommand: () => ({
+          TimeToLiveDescription: { TimeToLiveStatus: 'DISABLED' },
+        }),
+      },
+      dynamoDBClient
+    );
+
+    const result = await dynamoService.applyTableDefinition(definition, {
+      dryRun: true,
+    });
+
+    assert.strictEqual(result.created, false);
+    assert.deepStrictEqual(
+      result.changes.map((change) => change.type),
+      ['createIndex', 'enableStream', 'enableTtl']
+    );
+    assert.strictEqual(result.changes[0].indexName, 'GSI1');
+    assert.deepStrictEqual(result.unsupported, [
+      'Index legacy is not in the definition',
+    ]);
+    assert.ok(
+      calls.every((call) => call.name.startsWith('Describe')),
+      'a dry run must not change the table'
+    );
+  });
+
+  test('should add a new GSI and wait until it is ACTIVE', async () => {
+    let indexStatus;
+    const calls = mockSend(
+      {
+        DescribeTableCommand: () => {
+          const table = liveTable({
+            StreamSpecification: {
+              StreamEnabled: true,
+              StreamViewType: 'NEW_IMAGE',
+            },
+          });
+          if (indexStatus) {
+            table.GlobalSecondaryIndexes = [
+              { IndexName: 'GSI1', IndexStatus: indexStatus },
+            ];
+            // Backfill finishes on the next check
+            indexStatus = 'ACTIVE';
+          }
+          return { Table: table };
+        },
+        DescribeTimeToLiveCommand: () => ({
+          TimeToLiveDescription: {
+            TimeToLiveStatus: 'ENABLED',
+            AttributeName: 'ttl',
+          },
+        }),
+        UpdateTableCommand: () => {
+          indexStatus = 'CREATING';
+          return {};
+        },
+      },
+      dynamoDBClient
+    );
+
+    const result = await dynamoService.applyTableDefinition(definition, {
+      pollInterval: 1,
+    });
+
+    assert.deepStrictEqual(
+      result.changes.map((change) => change.type),
+      ['createIndex']
+    );
+    const update = calls.find((call) => call.name === 'UpdateTableCommand');
+    assert.strictEqual(
+      update.input.GlobalSecondaryIndexUpdates[0].Create.IndexName,
+      'GSI1'
+    );
+    assert.strictEqual(
+      calls.filter((call) => call.name === 'DescribeTableCommand').length,
+      3
+    );
+  });
+
+  test('should time out when the table never becomes ACTIVE', async () => {
+    mockSend(
+      {
+        DescribeTableCommand: () => ({
+          Table: liveTable({ TableStatus: 'CREATING' }),
+        }),
+      },
+      dynamoDBClient
+    );
+
+    await assert.rejects(
+      dynamoService.waitForTable('app-table', {
+        timeoutMs: 5,
+        pollInterval: 2,
+      }),
+      /Timed out after 5 ms waiting for table app-table to become ACTIVE/
+    );
+  });
+
+  test('deleteTable should require the table name as confirmation', async () => {
+    const calls = mockSend(
+      { DeleteTableCommand: () => ({}), DescribeTableCommand: notFound },
+      dynamoDBClient
+    );
+
+    await assert.rejects(
+      dynamoService.deleteTable('app-table'),
+      /Refusing to delete table "app-table"/
+    );
+    await assert.rejects(
+      dynamoService.deleteTable('app-table', { confirm: 'other-table' }),
+      /Refusing to delete/
+    );
+    assert.strictEqual(calls.length, 0);
+
+    assert.strictEqual(
+      await dynamoService.deleteTable('app-table', { confirm: 'app-table' }),
+      true
+    );
+    assert.deepStrictEqual(
+      calls.map((call) => call.name),
+      ['DeleteTableCommand', 'DescribeTableCommand']
+    );
+  });
+});
+
+describe(
+  'DynamoDB Service - table lifecycle (DynamoDB Local)',
+  { skip: !process.env.DYNAMODB_ENDPOINT && 'DYNAMODB_ENDPOINT not set' },
+  () => {
+    const tableName = `lifecycle-test-${Date.now()}`;
+
+    afterEach(async () => {
+      await dynamoService.deleteTable(tableName, {
+        confirm: tableName,
+        pollInterval: 100,
+      });
+    });
+
+    test('should create a table and add a GSI afterwards', async () => {
+      const definition = {
+        tableName,
+        partitionKey: { name: 'pk' },
+        sortKey: { name: 'sk' },
+      };
+      const options = { pollInterval: 100, timeoutMs: 30000 };
+
+      const created = await dynamoService.applyTableDefinition(
+        definition,
+        options
+      );
+      assert.strictEqual(created.created, true);
+
+      const updated = await dynamoService.applyTableDefinition(
+        {
+          ...definition,
+          globalIndexes: [{ name: 'GSI1', partitionKey: { name: 'sk' } }],
+        },
+        options
+      );
+      assert.deepStrictEqual(
+        updated.changes.map((change) => change.type),
+        ['createIndex']
+      );
+
+      const table = await dynamoService.describeTable(tableName);
+      assert.strictEqual(table.GlobalSecondaryIndexes[0].IndexName, 'GSI1');
+    });
+  }
+);
@@ -0,0 +1,259 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { dynamoDBDocClient } from '../clients/dynamodb-client.js';
+import { defineEntity } from '../models/entity.js';
+import { EntityValidationError } from '../utils/error-handler.js';
+
+/**
+ * Replace dynamoDBDocClient.send with a handler keyed by command name
+ */
+function mockSend(handlers) {
+  const calls = [];
+  mock.method(dynamoDBDocClient, 'send', async (command) => {
+    const name = command.constructor.name;
+    calls.push({ name, input: command.input });
+    const handler = handlers[name];
+    if (!handler) {
+      throw new Error(`Unexpected command: ${name}`);
+    }
+    return handler(command.input);
+  });
+  return calls;
+}
+
+const Order = defineEntity({
+  name: 'Order',
+  tableName: 'app-table',
+  attributes: {
+    userId: { type: 'string', required: true },
+    orderId: { type: 'string', required: true },
+    total: { type: 'number', required: true },
+    status: { type: 'string', default: 'pending' },
+    shippedAt: { type: 'date' },
+  },
+  keys: { pk: 'USER#{userId}', sk: 'ORDER#{orderId}' },
+  indexes: {
+    byStatus: {
+      indexName: 'GSI1',
+      keys: { gsi1pk: 'STATUS#{status}', gsi1sk: 'ORDER#{orderId}' },
+    },
+  },
+  timestamps: true,
+});
+
+describe('Entity models', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should reject unknown attribute types', () => {
+    assert.throws(
+      () =>
+        defineEntity({
+          name: 'Broken',
+          tableName: 'app-table',
+          attributes: { id: { type: 'uuid' } },
+          keys: { pk: 'BROKEN#{id}' },
+        }),
+      /Unknown type "uuid"/
+    );
+  });
+
+  test('create should apply defaults and build keys from templates', async () => {
+    const calls = mockSend({ PutCommand: () => ({}) });
+
+    const order = await Order.create({
+      userId: 'u1',
+      orderId: 'o1',
+      total: 25,
+      shippedAt: new Date('2024-01-02T03:04:05Z'),
+    });
+
+    assert.strictEqual(order.status, 'pending');
+    assert.strictEqual(order.shippedAt, '2024-01-02T03:04:05.000Z');
+    assert.ok(order.createdAt);
+    assert.strictEqual(order.createdAt, order.updatedAt);
+
+    const { Item, ConditionExpression } = calls[0].input;
+    assert.strictEqual(calls[0].input.TableName, 'app-table');
+    assert.strictEqual(Item.pk, 'USER#u1');
+    assert.strictEqual(Item.sk, 'ORDER#o1');
+    assert.strictEqual(Item.gsi1pk, 'STATUS#pending');
+    assert.strictEqual(Item.gsi1sk, 'ORDER#o1');
+    assert.strictEqual(Item.entityType, 'Order');
+    assert.strictEqual(ConditionExpression, 'attribute_not_exists(#pk)');
+  });
+
+  test('create should collect every validation error before sending', async () => {
+    const calls = mockSend({ PutCommand: () => ({}) });
+
+    await assert.rejects(
+      Order.create({ userId: 'u1', total: 'ten', coupon: 'FREE' }),
+      (error) => {
+        assert.ok(error instanceof EntityValidationError);
+        assert.deepStrictEqual(error.errors, [
+          'coupon is not a Order attribute',
+          'orderId is required',
+          'total must be of type number',
+        ]);
+        return true;
+      }
+    );
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('get should build the key and return only entity attributes', async () => {
+    const calls = mockSend({
+      GetCommand: () => ({
+        Item: {
+          pk: 'USER#u1',
+          sk: 'ORDER#o1',
+          entityType: 'Order',
+          userId: 'u1',
+          orderId: 'o1',
+          total: 25,
+          status: 'paid',
+          createdAt: '2024-01-01T00:00:00.000Z',
+          updatedAt: '2024-01-01T00:00:00.000Z',
+        },
+      }),
+    });
+
+    const order = await Order.get({ userId: 'u1', orderId: 'o1' });
+
+    assert.deepStrictEqual(calls[0].input.Key, {
+      pk: 'USER#u1',
+      sk: 'ORDER#o1',
+    });
+    assert.deepStrictEqual(order, {
+      userId: 'u1',
+      orderId: 'o1',
+      total: 25,
+      status: 'paid',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+    });
+  });
+
+  test('get should fail when a key field is missing', async () => {
+    await assert.rejects(
+      Order.get({ userId: 'u1' }),
+      /orderId is required to build the key "ORDER#\{orderId\}"/
+    );
+  });
+
+  test('update should rebuild index keys of changed fields', async () => {
+    const calls = mockSend({
+      UpdateCommand: () => ({
+        Attributes: { userId: 'u1', orderId: 'o1', total: 25, status: 'paid' },
+      }),
+    });
+
+    const order = await Order.update(
+      { userId: 'u1', orderId: 'o1' },
+      { status: 'paid' }
+    );
+
+    const input = calls[0].input;
+    assert.deepStrictEqual(input.Key, { pk: 'USER#u1', sk: 'ORDER#o1' });
+    assert.strictEqual(input.ReturnValues, 'ALL_NEW');
+    assert.strictEqual(input.ConditionExpression, 'attribute_exists(#pk)');
+    assert.ok(
+      Object.values(input.ExpressionAttributeValues).includes('STATUS#paid')
+    );
+    assert.ok(
+      Object.values(input.ExpressionAttributeNames).includes('updatedAt')
+    );
+    assert.strictEqual(order.status, 'paid');
+  });
+
+  test('update should remove optional attributes set to null', async () => {
+    const calls = mockSend({
+      UpdateCommand: () => ({
+        Attributes: { userId: 'u1', orderId: 'o1', total: 25 },
+      }),
+    });
+
+    const order = await Order.update(
+      { userId: 'u1', orderId: 'o1' },
+      { shippedAt: null, status: null }
+    );
+
+    const input = calls[0].input;
+    const removed = input.UpdateExpression.split('REMOVE ')[1]
+      .split(', ')
+      .map((name) => input.ExpressionAttributeNames[name]);
+    assert.deepStrictEqual(removed.sort(), [
+      'gsi1pk',
+      'gsi1sk',
+      'shippedAt',
+      'status',
+    ]);
+    assert.strictEqual(order.status, undefined);
+
+    await assert.rejects(
+      Order.update({ userId: 'u1', orderId: 'o1' }, { total: null }),
+      /total cannot be removed/
+    );
+  });
+
+  test('update should reject changes to key fields and wrong types', async () => {
+    const calls = mockSend({ UpdateCommand: () => ({}) });
+
+    await assert.rejects(
+      Order.update({ userId: 'u1', orderId: 'o1' }, { orderId: 'o2' }),
+      /key fields cannot be updated \(orderId\)/
+    );
+    await assert.rejects(
+      Order.update({ userId: 'u1', orderId: 'o1' }, { total: '30' }),
+      EntityValidationError
+    );
+    assert.strictEqual(calls.length, 0);
+  });
+
+  test('query should turn a partial sort key into begins_with', async () => {
+    const calls = mockSend({
+      QueryCommand: () => ({
+        Items: [{ userId: 'u1', orderId: 'o1', total: 25, pk: 'USER#u1' }],
+        LastEvaluatedKey: { pk: 'USER#u1', sk: 'ORDER#o1' },
+      }),
+    });
+
+    const result = await Order.query({ userId: 'u1' }, { limit: 1 });
+
+    const input = calls[0].input;
+    assert.strictEqual(
+      input.KeyConditionExpression,
+      '#pk = :v0 AND begins_with(#sk, :v1)'
+    );
+    assert.strictEqual(input.ExpressionAttributeValues[':v0'], 'USER#u1');
+    assert.strictEqual(input.ExpressionAttributeValues[':v1'], 'ORDER#');
+    assert.strictEqual(input.FilterExpression, '#entityType = :v2');
+    assert.strictEqual(input.Limit, 1);
+    assert.deepStrictEqual(result.items, [
+      { userId: 'u1', orderId: 'o1', total: 25 },
+    ]);
+    assert.deepStrictEqual(result.lastEvaluatedKey, {
+      pk: 'USER#u1',
+      sk: 'ORDER#o1',
+    });
+  });
+
+  test('query should use the keys of a declared index', async () => {
+    const calls = mockSend({ QueryCommand: () => ({ Items: [] }) });
+
+    await Order.query({ status: 'paid' }, { index: 'byStatus' });
+
+    const input = calls[0].input;
+    assert.strictEqual(input.IndexName, 'GSI1');
+    assert.strictEqual(input.ExpressionAttributeValues[':v0'], 'STATUS#paid');
+    await assert.rejects(
+      Order.query({ status: 'paid' }, { index: 'byDate' }),
+      /unknown index "byDate"/
+    );
+  });
+});
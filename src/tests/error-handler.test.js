@@ -1,9 +1,23 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
+import { NoSuchKey } from '@aws-sdk/client-s3';
+import { ProvisionedThroughputExceededException } from '@aws-sdk/client-dynamodb';
 import {
   extractErrorInfo,
   isAwsError,
   withRetry,
+  isRetryableError,
+  getRetryAfterMs,
+  normalizeAwsError,
+  AwsServiceError,
+  NotFoundError,
+  AccessDeniedError,
+  ThrottledError,
+  ConditionFailedError,
+  VersionConflictError,
+  ValidationFailedError,
+  ConflictError,
+  ServiceUnavailableError,
 } from '../utils/error-handler.js';
 
 describe('Error Handler Utils', () => {
@@ -50,3 +64,326 @@ describe('Error Handler Utils', () => {
     assert.strictEqual(attempts, 3);
   });
 });
+
+describe('AWS error taxonomy', () => {
+  const sdkError = (name, statusCode, extra = {}) =>
+    Object.assign(new Error(`${name} message`), {
+      name,
+      $fault: statusCode >= 500 ? 'server' : 'client',
+      $metadata: { httpStatusCode: statusCode, requestId: 'req-1' },
+      ...extra,
+    });
+
+  test('should map S3 and DynamoDB errors to domain classes', () => {
+    const cases = [
+      [new NoSuchKey({ message: 'gone', $metadata: {} }), NotFoundError],
+      [sdkError('ResourceNotFoundException', 400), NotFoundError],
+      [sdkError('AccessDenied', 403), AccessDeniedError],
+      [
+        new ProvisionedThroughputExceededException({
+          message: 'slow down',
+          $metadata: {},
+        }),
+        ThrottledError,
+      ],
+      [sdkError('SlowDown', 503), ThrottledError],
+      [sdkError('ConditionalCheckFailedException', 400), ConditionFailedError],
+      [sdkError('ValidationException', 400), ValidationFailedError],
+      [sdkError('ResourceInUseException', 400), ConflictError],
+      [sdkError('InternalError', 500), ServiceUnavailableError],
+    ];
+
+    cases.forEach(([error, ErrorClass]) => {
+      const normalized = normalizeAwsError(error);
+      assert.ok(
+        normalized instanceof ErrorClass,
+        `${error.name} should be a ${ErrorClass.name}`
+      );
+      assert.ok(normalized instanceof AwsServiceError);
+      assert.strictEqual(normalized.cause, error);
+      assert.strictEqual(normalized.code, error.name);
+    });
+  });
+
+  test('should carry the context, request ID and retryable flag', () => {
+    const throttled = normalizeAwsError(sdkError('ThrottlingException', 400), {
+      service: 'dynamodb',
+      operation: 'Query',
+    });
+    assert.strictEqual(throttled.service, 'dynamodb');
+    assert.strictEqual(throttled.operation, 'Query');
+    assert.strictEqual(throttled.requestId, 'req-1');
+    assert.strictEqual(throttled.statusCode, 400);
+    assert.strictEqual(throttled.retryable, true);
+
+    assert.strictEqual(
+      normalizeAwsError(sdkError('ValidationException', 400)).retryable,
+      false
+    );
+    assert.strictEqual(
+      normalizeAwsError(sdkError('TransactionConflictException', 400))
+        .retryable,
+      true
+    );
+  });
+
+  test('should fall back to the HTTP status and network error codes', () => {
+    assert.ok(
+      normalizeAwsError(sdkError('UnknownError', 404)) instanceof NotFoundError
+    );
+    assert.ok(
+      normalizeAwsError(sdkError('UnknownError', 418)).constructor ===
+        AwsServiceError
+    );
+
+    const reset = Object.assign(new Error('socket hang up'), {
+      code: 'ECONNRESET',
+    });
+    const normalized = normalizeAwsError(reset);
+    assert.ok(normalized instanceof ServiceUnavailableError);
+    assert.strictEqual(normalized.code, 'ECONNRESET');
+    assert.strictEqual(normalized.retryable, true);
+  });
+
+  test('should leave non-AWS and normalized errors untouched', () => {
+    const plain = new TypeError('bad input');
+    assert.strictEqual(normalizeAwsError(plain), plain);
+
+    const normalized = normalizeAwsError(sdkError('NoSuchBucket', 404));
+    assert.strictEqual(normalizeAwsError(normalized), normalized);
+    assert.ok(isAwsError(normalized, 'NoSuchBucket'));
+  });
+
+  test('existing condition errors should be part of the taxonomy', () => {
+    const cause = sdkError('ConditionalCheckFailedException', 400);
+    const conflict = new VersionConflictError('changed', {
+      cause,
+      expectedVersion: 1,
+      currentVersion: 2,
+    });
+    assert.ok(conflict instanceof ConditionFailedError);
+    assert.ok(conflict instanceof AwsServiceError);
+    assert.strictEqual(conflict.requestId, 'req-1');
+    assert.strictEqual(conflict.retryable, false);
+  });
+
+  test('extractErrorInfo should include the domain type', () => {
+    const info = extractErrorInfo(sdkError('NoSuchKey', 404));
+    assert.strictEqual(info.name, 'NoSuchKey');
+    assert.strictEqual(info.type, 'NotFoundError');
+    assert.strictEqual(info.code, 404);
+    assert.strictEqual(info.retryable, false);
+  });
+});
+
+describe('withRetry policies', () => {
+  const retryable = (message = 'Temporary failure') =>
+    Object.assign(new Error(message), { $retryable: true });
+
+  // Fail `failures` times, then succeed, recording every attempt
+  const flaky = (failures, createError = retryable) => {
+    const calls = [];
+    const operation = (context) => {
+      calls.push(context);
+      if (calls.length <= failures) {
+        throw createError();
+      }
+      return 'ok';
+    };
+    return { operation, calls };
+  };
+
+  const recordDelays = () => {
+    const delays = [];
+    return { delays, onRetry: ({ delay }) => delays.push(delay) };
+  };
+
+  test('should grow the delay exponentially up to maxDelay without jitter', async () => {
+    const { operation, calls } = flaky(4);
+    const { delays, onRetry } = recordDelays();
+
+    const result = await withRetry(operation, {
+      maxAttempts: 5,
+      baseDelay: 2,
+      maxDelay: 10,
+      jitter: 'none',
+      onRetry,
+    });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(delays, [2, 4, 8, 10]);
+    assert.deepStrictEqual(
+      calls.map((call) => call.attempt),
+      [1, 2, 3, 4, 5]
+    );
+  });
+
+  test('full jitter should pick a delay between zero and the backoff', async () => {
+    const { operation } = flaky(3);
+    const { delays, onRetry } = recordDelays();
+
+    await withRetry(operation, {
+      maxAttempts: 4,
+      baseDelay: 4,
+      random: () => 0.5,
+      onRetry,
+    });
+
+    assert.deepStrictEqual(delays, [2, 4, 8]);
+  });
+
+  test('decorrelated jitter should build on the previous delay', async () => {
+    const { operation } = flaky(3);
+    const { delays, onRetry } = recordDelays();
+
+    await withRetry(operation, {
+      maxAttempts: 4,
+      baseDelay: 2,
+      maxDelay: 30,
+      jitter: 'decorrelated',
+      random: () => 1,
+      onRetry,
+    });
+
+    // min(maxDelay, random between baseDelay and 3 * previous delay)
+    assert.deepStrictEqual(delays, [6, 18, 30]);
+  });
+
+  test('should not retry errors rejected by shouldRetry', async () => {
+    const validation = flaky(1, () =>
+      Object.assign(new Error('Bad input'), {
+        name: 'ValidationException',
+        $metadata: { httpStatusCode: 400 },
+      })
+    );
+    await assert.rejects(withRetry(validation.operation, { baseDelay: 1 }), {
+      message: 'Bad input',
+    });
+    assert.strictEqual(validation.calls.length, 1);
+
+    const custom = flaky(2);
+    const seen = [];
+    await assert.rejects(
+      withRetry(custom.operation, {
+        baseDelay: 1,
+        shouldRetry: (error, { attempt }) => {
+          seen.push(attempt);
+          return attempt < 2;
+        },
+        onRetry: () => {},
+      }),
+      { message: 'Temporary failure' }
+    );
+    assert.deepStrictEqual(seen, [1, 2]);
+  });
+
+  test('should retry throttling and server errors by default', () => {
+    const throttled = Object.assign(new Error('Rate exceeded'), {
+      name: 'ThrottlingException',
+      $metadata: { httpStatusCode: 400 },
+    });
+    const unavailable = Object.assign(new Error('Unavailable'), {
+      $metadata: { httpStatusCode: 503 },
+    });
+    const reset = Object.assign(new Error('socket hang up'), {
+      code: 'ECONNRESET',
+    });
+
+    assert.strictEqual(isRetryableError(throttled), true);
+    assert.strictEqual(isRetryableError(unavailable), true);
+    assert.strictEqual(isRetryableError(reset), true);
+    assert.strictEqual(isRetryableError(new Error('Bug')), false);
+    assert.strictEqual(
+      isRetryableError(Object.assign(new Error('No'), { $retryable: false })),
+      false
+    );
+  });
+
+  test('should wait at least as long as Retry-After', async () => {
+    const { operation } = flaky(1, () =>
+      Object.assign(retryable('Slow down'), {
+        $response: { headers: { 'retry-after': '0.05' } },
+      })
+    );
+    const { delays, onRetry } = recordDelays();
+
+    await withRetry(operation, { baseDelay: 1, jitter: 'none', onRetry });
+
+    assert.deepStrictEqual(delays, [50]);
+    assert.strictEqual(getRetryAfterMs({ retryAfter: '2' }), 2000);
+    const date = new Date(Date.now() + 60000).toUTCString();
+    assert.ok(getRetryAfterMs({ retryAfter: date }) > 55000);
+    assert.strictEqual(getRetryAfterMs(new Error('none')), undefined);
+  });
+
+  test('should give up when Retry-After exceeds maxRetryAfter', async () => {
+    const { operation, calls } = flaky(1, () =>
+      Object.assign(retryable('Slow down'), { retryAfter: '3600' })
+    );
+    const { delays, onRetry } = recordDelays();
+
+    await assert.rejects(
+      withRetry(operation, { baseDelay: 1, maxRetryAfter: 1000, onRetry }),
+      { message: 'Slow down' }
+    );
+
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(delays, []);
+  });
+
+  test('should give up when the next retry exceeds the time budget', async () => {
+    const { operation, calls } = flaky(5);
+
+    await assert.rejects(
+      withRetry(operation, {
+        maxAttempts: 10,
+        baseDelay: 20,
+        jitter: 'none',
+        timeBudget: 50,
+        onRetry: () => {},
+      }),
+      { message: 'Temporary failure' }
+    );
+
+    // Waits 20 and 40 ms would already exceed the budget after the second failure
+    assert.strictEqual(calls.length, 2);
+  });
+
+  test('should stop waiting when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const { operation, calls } = flaky(5);
+
+    const pending = withRetry(operation, {
+      maxAttempts: 5,
+      baseDelay: 10000,
+      jitter: 'none',
+      signal: controller.signal,
+      onRetry: () => controller.abort(new Error('Cancelled')),
+    });
+
+    await assert.rejects(pending, { message: 'Cancelled' });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].signal, controller.signal);
+
+    await assert.rejects(withRetry(operation, { signal: controller.signal }), {
+      message: 'Cancelled',
+    });
+    assert.strictEqual(calls.length, 1);
+  });
+
+  test('onRetry should receive the attempt, the delay and the error', async () => {
+    const { operation } = flaky(1);
+    const events = [];
+
+    await withRetry(operation, {
+      baseDelay: 1,
+      jitter: 'none',
+      onRetry: (event) => events.push(event),
+    });
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].attempt, 1);
+    assert.strictEqual(events[0].delay, 1);
+    assert.strictEqual(events[0].error.message, 'Temporary failure');
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  createExpressionContext,
+  buildUpdateExpression,
+  buildConditionExpression,
+} from '../utils/expression-builder.js';
+
+describe('Expression Builder', () => {
+  test('should build SET, REMOVE, ADD and DELETE clauses', () => {
+    const context = createExpressionContext();
+    const tags = new Set(['old']);
+
+    const expression = buildUpdateExpression(
+      {
+        name: 'Ana',
+        draft: { $remove: true },
+        views: { $add: 1 },
+        tags: { $delete: tags },
+      },
+      context
+    );
+
+    assert.strictEqual(
+      expression,
+      'SET #name = :v0 REMOVE #draft ADD #views :v1 DELETE #tags :v2'
+    );
+    const { ExpressionAttributeNames, ExpressionAttributeValues } =
+      context.attributes();
+    assert.deepStrictEqual(ExpressionAttributeNames, {
+      '#name': 'name',
+      '#draft': 'draft',
+      '#views': 'views',
+      '#tags': 'tags',
+    });
+    assert.deepStrictEqual(ExpressionAttributeValues, {
+      ':v0': 'Ana',
+      ':v1': 1,
+      ':v2': tags,
+    });
+  });
+
+  test('should handle nested paths and list indexes', () => {
+    const context = createExpressionContext();
+
+    const expression = buildUpdateExpression(
+      { 'address.city': 'Lima', 'items[0].price': 10 },
+      context
+    );
+
+    assert.strictEqual(
+      expression,
+      'SET #address.#city = :v0, #items[0].#price = :v1'
+    );
+  });
+
+  test('should build conditions with operators and functions', () => {
+    const context = createExpressionContext();
+
+    const expression = buildConditionExpression(
+      {
+        status: 'active',
+        age: { gte: 18, lt: 65 },
+        sk: { beginsWith: 'ORDER#' },
+        deletedAt: { exists: false },
+        $or: [
+          { role: { in: ['admin', 'owner'] } },
+          { price: { between: [1, 5] } },
+        ],
+      },
+      context
+    );
+
+    assert.strictEqual(
+      expression,
+      '#status = :v0 AND #age >= :v1 AND #age < :v2 AND begins_with(#sk, :v3)' +
+        ' AND attribute_not_exists(#deletedAt)' +
+        ' AND ((#role IN (:v4, :v5)) OR (#price BETWEEN :v6 AND :v7))'
+    );
+  });
+
+  test('should treat plain maps as equality values', () => {
+    const context = createExpressionContext();
+
+    const expression = buildConditionExpression(
+      { address: { city: 'Lima' } },
+      context
+    );
+
+    assert.strictEqual(expression, '#address = :v0');
+    assert.deepStrictEqual(context.attributes().ExpressionAttributeValues, {
+      ':v0': { city: 'Lima' },
+    });
+  });
+
+  test('should reject raw placeholders that clash with generated ones', () => {
+    const context = createExpressionContext();
+    buildUpdateExpression({ status: 'shipped' }, context);
+
+    context.merge({ '#status': 'status' }, { ':paid': 'paid' });
+    assert.throws(
+      () => context.merge({}, { ':v0': 'paid' }),
+      /Placeholder :v0 is already used/
+    );
+    assert.throws(
+      () => context.merge({ '#status': 'state' }),
+      /Placeholder #status is already used/
+    );
+    assert.deepStrictEqual(context.attributes().ExpressionAttributeValues, {
+      ':v0': 'shipped',
+      ':paid': 'paid',
+    });
+  });
+
+  test('should reject empty updates', () => {
+    assert.throws(
+      () => buildUpdateExpression({}, createExpressionContext()),
+      /No changes/
+    );
+  });
+});
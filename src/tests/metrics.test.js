@@ -0,0 +1,193 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { BatchWriteCommand, GetCommand } from '@aws-sdk/lib-dynamodb';
+import { s3Client } from '../clients/s3-client.js';
+import {
+  dynamoDBClient,
+  dynamoDBDocClient,
+} from '../clients/dynamodb-client.js';
+import { registerMiddleware } from '../clients/middleware.js';
+import {
+  enableMetrics,
+  getMetrics,
+  renderPrometheusMetrics,
+  resetMetrics,
+} from '../clients/metrics.js';
+
+/**
+ * Answer every command after the metrics middleware with respond(input)
+ */
+function fakeService(respond) {
+  return registerMiddleware(
+    () => async (args) => ({
+      output: await respond(args.input),
+      response: {},
+    }),
+    { step: 'initialize', priority: 'low', name: 'testFakeService' }
+  );
+}
+
+describe('Client metrics', () => {
+  let removeService;
+  let disable;
+
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  afterEach(() => {
+    disable?.();
+    removeService?.();
+  });
+
+  test('should count calls, retries and errors per operation', async () => {
+    let calls = 0;
+    removeService = fakeService(async () => {
+      calls++;
+      if (calls === 3) {
+        throw Object.assign(new Error('The specified key does not exist.'), {
+          name: 'NoSuchKey',
+          $metadata: { attempts: 1 },
+        });
+      }
+      return { $metadata: { attempts: calls } };
+    });
+    disable = enableMetrics();
+
+    const get = () =>
+      s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'k' }));
+    await get();
+    await get();
+    await assert.rejects(get(), { name: 'NoSuchKey' });
+
+    const metrics = getMetrics();
+    assert.deepStrictEqual(metrics.calls, [
+      { service: 's3', operation: 'GetObject', value: 3 },
+    ]);
+    assert.deepStrictEqual(metrics.retries, [
+      { service: 's3', operation: 'GetObject', value: 1 },
+    ]);
+    assert.deepStrictEqual(metrics.errors, [
+      { service: 's3', operation: 'GetObject', error: 'NoSuchKey', value: 1 },
+    ]);
+    assert.strictEqual(metrics.durations[0].count, 3);
+    assert.ok(metrics.durations[0].sum >= 0);
+  });
+
+  test('should record DynamoDB consumed capacity', async () => {
+    const inputs = [];
+    removeService = fakeService(async (input) => {
+      inputs.push(input);
+      return input.RequestItems
+        ? {
+            $metadata: {},
+            UnprocessedItems: {},
+            ConsumedCapacity: [
+              { TableName: 'users', CapacityUnits: 2 },
+              { TableName: 'orders', CapacityUnits: 1 },
+            ],
+          }
+        : {
+            $metadata: {},
+            ConsumedCapacity: { TableName: 'users', CapacityUnits: 0.5 },
+          };
+    });
+    disable = enableMetrics();
+
+    await dynamoDBDocClient.send(
+      new GetCommand({ TableName: 'users', Key: { id: '1' } })
+    );
+    await dynamoDBDocClient.send(
+      new GetCommand({
+        TableName: 'users',
+        Key: { id: '2' },
+        ReturnConsumedCapacity: 'INDEXES',
+      })
+    );
+    await dynamoDBDocClient.send(
+      new BatchWriteCommand({
+        RequestItems: {
+          users: [{ PutRequest: { Item: { id: '3' } } }],
+          orders: [{ PutRequest: { Item: { id: '4' } } }],
+        },
+      })
+    );
+
+    assert.strictEqual(inputs[0].ReturnConsumedCapacity, 'TOTAL');
+    assert.strictEqual(inputs[1].ReturnConsumedCapacity, 'INDEXES');
+    assert.deepStrictEqual(getMetrics().consumedCapacity, [
+      { table: 'users', operation: 'GetItem', value: 1 },
+      { table: 'users', operation: 'BatchWriteItem', value: 2 },
+      { table: 'orders', operation: 'BatchWriteItem', value: 1 },
+    ]);
+  });
+
+  test('should not change the params of the caller', async () => {
+    const inputs = [];
+    removeService = fakeService(async (input) => {
+      inputs.push(input);
+      return { $metadata: {} };
+    });
+    disable = enableMetrics({ services: ['dynamodb'] });
+
+    const params = { TableName: 'users', Key: { id: { S: '1' } } };
+    await dynamoDBClient.send(new GetItemCommand(params));
+
+    assert.strictEqual(inputs[0].ReturnConsumedCapacity, 'TOTAL');
+    assert.deepStrictEqual(params, {
+      TableName: 'users',
+      Key: { id: { S: '1' } },
+    });
+  });
+
+  test('should render the Prometheus text format', async () => {
+    removeService = fakeService(async () => ({ $metadata: { attempts: 1 } }));
+    disable = enableMetrics({ services: ['s3'], buckets: [0.1, 1] });
+
+    await s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'k' }));
+
+    const text = renderPrometheusMetrics();
+    const labels = 'service="s3",operation="GetObject"';
+    assert.match(text, /^# HELP aws_sdk_calls_total /m);
+    assert.match(text, /^# TYPE aws_sdk_calls_total counter$/m);
+    assert.ok(text.includes(`aws_sdk_calls_total{${labels}} 1\n`));
+    assert.match(text, /^# TYPE aws_sdk_call_duration_seconds histogram$/m);
+    assert.ok(
+      text.includes(
+        `aws_sdk_call_duration_seconds_bucket{${labels},le="+Inf"} 1\n`
+      )
+    );
+    assert.ok(
+      text.includes(`aws_sdk_call_duration_seconds_count{${labels}} 1\n`)
+    );
+    assert.ok(text.endsWith('\n'));
+  });
+
+  test('should stop recording when disabled and start over after a reset', async () => {
+    removeService = fakeService(async () => ({ $metadata: {} }));
+    disable = enableMetrics();
+    // Enabling again must not count calls twice
+    enableMetrics();
+
+    const get = () =>
+      s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'k' }));
+    await get();
+    assert.strictEqual(getMetrics().calls[0].value, 1);
+
+    disable();
+    await get();
+    assert.strictEqual(getMetrics().calls[0].value, 1);
+
+    resetMetrics();
+    assert.deepStrictEqual(getMetrics(), {
+      calls: [],
+      errors: [],
+      retries: [],
+      consumedCapacity: [],
+      durations: [],
+    });
+    assert.doesNotMatch(renderPrometheusMetrics(), /service=/);
+  });
+});
@@ -0,0 +1,301 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { GetObjectCommand, ListBucketsCommand } from '@aws-sdk/client-s3';
+import { GetCommand } from '@aws-sdk/lib-dynamodb';
+import { s3Client } from '../clients/s3-client.js';
+import { dynamoDBDocClient } from '../clients/dynamodb-client.js';
+import { registerMiddleware } from '../clients/middleware.js';
+import { protectS3 } from '../services/s3-service.js';
+import { protectDynamoDB } from '../services/dynamodb-service.js';
+import {
+  createCircuitBreaker,
+  createRateLimiter,
+} from '../utils/resilience.js';
+import {
+  CircuitOpenError,
+  RateLimitExceededError,
+  withRetry,
+} from '../utils/error-handler.js';
+
+const throttled = () =>
+  Object.assign(new Error('Slow Down'), {
+    name: 'SlowDown',
+    $metadata: { httpStatusCode: 503 },
+  });
+
+const fail = (error) => async () => {
+  throw error;
+};
+
+describe('Circuit breaker', () => {
+  const createClock = () => {
+    const clock = { time: 0, now: () => clock.time };
+    return clock;
+  };
+
+  test('should open when the failure rate reaches the threshold', async () => {
+    const changes = [];
+    const breaker = createCircuitBreaker({
+      name: 's3',
+      minimumCalls: 4,
+      failureRateThreshold: 0.5,
+      onStateChange: (change) => changes.push(change),
+    });
+
+    await breaker.execute(async () => 'ok');
+    await breaker.execute(async () => 'ok');
+    await assert.rejects(breaker.execute(fail(throttled())));
+    assert.strictEqual(breaker.getState().state, 'closed');
+    await assert.rejects(breaker.execute(fail(throttled())));
+
+    const state = breaker.getState();
+    assert.strictEqual(state.state, 'open');
+    assert.strictEqual(state.failureRate, 0.5);
+    assert.ok(state.retryAt instanceof Date);
+    assert.deepStrictEqual(changes, [
+      { name: 's3', from: 'closed', to: 'open' },
+    ]);
+
+    let called = false;
+    await assert.rejects(
+      breaker.execute(async () => {
+        called = true;
+      }),
+      (error) =>
+        error instanceof CircuitOpenError &&
+        error.circuit === 's3' &&
+        error.retryAt.getTime() === state.retryAt.getTime()
+    );
+    assert.strictEqual(called, false);
+  });
+
+  test('should not count client errors as failures', async () => {
+    const breaker = createCircuitBreaker({ minimumCalls: 2 });
+    const notFound = Object.assign(new Error('No such key'), {
+      name: 'NoSuchKey',
+      $metadata: { httpStatusCode: 404 },
+    });
+
+    await assert.rejects(breaker.execute(fail(notFound)));
+    await assert.rejects(breaker.execute(fail(notFound)));
+
+    assert.strictEqual(breaker.getState().state, 'closed');
+    assert.strictEqual(breaker.getState().failures, 0);
+  });
+
+  test('should only consider the most recent calls', async () => {
+    const breaker = createCircuitBreaker({
+      minimumCalls: 3,
+      windowSize: 3,
+      failureRateThreshold: 0.6,
+    });
+
+    for (let call = 0; call < 5; call++) {
+      await breaker.execute(async () => 'ok');
+    }
+    await assert.rejects(breaker.execute(fail(throttled())));
+    assert.strictEqual(breaker.getState().state, 'closed');
+    // Earlier successes have left the window: 2 failures out of 3
+    await assert.rejects(breaker.execute(fail(throttled())));
+
+    assert.strictEqual(breaker.getState().state, 'open');
+  });
+
+  test('should let trial calls through after the cool-down', async () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({
+      minimumCalls: 1,
+      coolDownMs: 1000,
+      now: clock.now,
+    });
+
+    await assert.rejects(breaker.execute(fail(throttled())));
+    clock.time = 999;
+    assert.strictEqual(breaker.getState().state, 'open');
+
+    // A failed trial opens it again for a whole cool-down
+    clock.time = 1000;
+    assert.strictEqual(breaker.getState().state, 'half-open');
+    await assert.rejects(breaker.execute(fail(throttled())), {
+      message: 'Slow Down',
+    });
+    assert.strictEqual(breaker.getState().state, 'open');
+    assert.strictEqual(breaker.getState().retryAt.getTime(), 2000);
+
+    // Only one trial at a time; its success closes the breaker
+    clock.time = 2000;
+    let finishTrial;
+    const trial = breaker.execute(
+      () => new Promise((resolve) => (finishTrial = resolve))
+    );
+    await assert.rejects(
+      breaker.execute(async () => 'ok'),
+      CircuitOpenError
+    );
+    finishTrial('ok');
+    assert.strictEqual(await trial, 'ok');
+
+    assert.deepStrictEqual(breaker.getState(), {
+      name: 'circuit-breaker',
+      state: 'closed',
+      calls: 0,
+      failures: 0,
+      failureRate: 0,
+      openedAt: null,
+      retryAt: null,
+    });
+  });
+
+  test('withRetry should give up as soon as the breaker opens', async () => {
+    const breaker = createCircuitBreaker({ minimumCalls: 2 });
+    let calls = 0;
+
+    await assert.rejects(
+      withRetry(
+        () =>
+          breaker.execute(async () => {
+            calls++;
+            throw throttled();
+          }),
+        { maxAttempts: 5, baseDelay: 1, onRetry: () => {} }
+      ),
+      CircuitOpenError
+    );
+    assert.strictEqual(calls, 2);
+  });
+});
+
+describe('Rate limiter', () => {
+  test('should allow a burst and then space out calls', async () => {
+    const clock = { time: 0 };
+    const limiter = createRateLimiter({
+      ratePerSecond: 50,
+      burst: 2,
+      now: () => clock.time,
+    });
+
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.strictEqual(limiter.tryAcquire(), false);
+    assert.deepStrictEqual(limiter.getState(), {
+      name: 'rate-limiter',
+      tokens: 0,
+      capacity: 2,
+      ratePerSecond: 50,
+      queued: 0,
+    });
+
+    const order = [];
+    const waiting = [1, 2].map((call) =>
+      limiter.acquire().then(() => order.push(call))
+    );
+    assert.strictEqual(limiter.getState().queued, 2);
+
+    // Two tokens at 50 per second take 40ms
+    clock.time = 20;
+    assert.strictEqual(limiter.getState().tokens, 1);
+    clock.time = 40;
+    await Promise.all(waiting);
+
+    assert.deepStrictEqual(order, [1, 2]);
+    assert.strictEqual(limiter.getState().queued, 0);
+  });
+
+  test('should reject calls that would wait longer than maxWaitMs', async () => {
+    const limiter = createRateLimiter({
+      name: 'dynamodb-writes',
+      ratePerSecond: 1,
+      maxWaitMs: 100,
+    });
+
+    assert.strictEqual(await limiter.execute(async () => 'ok'), 'ok');
+    await assert.rejects(
+      limiter.acquire(),
+      (error) =>
+        error instanceof RateLimitExceededError &&
+        error.limiter === 'dynamodb-writes'
+    );
+  });
+
+  test('should stop waiting when the signal is aborted', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 20, burst: 1 });
+    const controller = new AbortController();
+    await limiter.acquire();
+
+    const waiting = limiter.acquire({ signal: controller.signal });
+    controller.abort(new Error('Cancelled'));
+
+    await assert.rejects(waiting, { message: 'Cancelled' });
+    assert.strictEqual(limiter.getState().queued, 0);
+  });
+
+  test('should validate its options', () => {
+    assert.throws(() => createRateLimiter({}), /ratePerSecond/);
+  });
+});
+
+describe('Service protection', () => {
+  // Answers commands after the protection runs, failing with `error` if set
+  const fakeService = (calls, error) =>
+    registerMiddleware(
+      (next, context) => async () => {
+        calls.push(context.commandName);
+        if (error) {
+          throw error;
+        }
+        return { output: { $metadata: {} }, response: {} };
+      },
+      { step: 'initialize', priority: 'low', name: 'testFakeService' }
+    );
+
+  test('protectS3 should guard only the given operations', async () => {
+    const calls = [];
+    const removeService = fakeService(calls, throttled());
+    const breaker = createCircuitBreaker({ minimumCalls: 1 });
+    const removeProtection = protectS3({
+      circuitBreaker: breaker,
+      operations: ['GetObject'],
+    });
+
+    try {
+      const get = () =>
+        s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'k' }));
+      await assert.rejects(get(), { name: 'SlowDown' });
+      await assert.rejects(get(), CircuitOpenError);
+      await assert.rejects(s3Client.send(new ListBucketsCommand({})), {
+        name: 'SlowDown',
+      });
+    } finally {
+      removeProtection();
+      removeService();
+    }
+
+    assert.deepStrictEqual(calls, ['GetObjectCommand', 'ListBucketsCommand']);
+    assert.strictEqual(breaker.getState().state, 'open');
+  });
+
+  test('protectDynamoDB should rate limit Document client calls', async () => {
+    const calls = [];
+    const removeService = fakeService(calls);
+    const limiter = createRateLimiter({ ratePerSecond: 1, maxWaitMs: 0 });
+    const removeProtection = protectDynamoDB({
+      rateLimiter: limiter,
+      operations: ['GetItem'],
+    });
+
+    try {
+      const get = () =>
+        dynamoDBDocClient.send(
+          new GetCommand({ TableName: 'users', Key: { id: '1' } })
+        );
+      await get();
+      await assert.rejects(get(), RateLimitExceededError);
+    } finally {
+      removeProtection();
+      removeService();
+    }
+
+    assert.deepStrictEqual(calls, ['GetItemCommand']);
+    assert.throws(() => protectDynamoDB({}), /circuitBreaker or a rateLimiter/);
+  });
+});
@@ -0,0 +1,576 @@
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'stream';
+import { s3Client } from '../clients/s3-client.js';
+import * as s3Service from '../services/s3-service.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Replace s3Client.send with a handler keyed by command name
+ */
+function mockSend(handlers) {
+  const calls = [];
+  mock.method(s3Client, 'send', async (command) => {
+    const name = command.constructor.name;
+    calls.push({ name, input: command.input });
+    const handler = handlers[name];
+    if (!handler) {
+      throw new Error(`Unexpected command: ${name}`);
+    }
+    return handler(command.input);
+  });
+  return calls;
+}
+
+describe('S3 Service - multipart upload', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should split a Buffer into parts and complete the upload', async () => {
+    const calls = mockSend({
+      CreateMultipartUploadCommand: () => ({ UploadId: 'upload-1' }),
+      UploadPartCommand: (input) => ({ ETag: `etag-${input.PartNumber}` }),
+      CompleteMultipartUploadCommand: () => ({ Location: 'location' }),
+    });
+
+    const result = await s3Service.uploadLargeObject(
+      'test-bucket',
+      'big.bin',
+      Buffer.alloc(11 * MB),
+      { partSize: 5 * MB, concurrency: 2 }
+    );
+
+    const parts = calls.filter((call) => call.name === 'UploadPartCommand');
+    assert.deepStrictEqual(
+      parts.map((call) => call.input.Body.length),
+      [5 * MB, 5 * MB, 1 * MB]
+    );
+
+    const complete = calls.find(
+      (call) => call.name === 'CompleteMultipartUploadCommand'
+    );
+    assert.deepStrictEqual(complete.input.MultipartUpload.Parts, [
+      { PartNumber: 1, ETag: 'etag-1' },
+      { PartNumber: 2, ETag: 'etag-2' },
+      { PartNumber: 3, ETag: 'etag-3' },
+    ]);
+    assert.strictEqual(result.UploadId, 'upload-1');
+  });
+
+  test('should abort the multipart upload when a part fails', async () => {
+    const calls = mockSend({
+      CreateMultipartUploadCommand: () => ({ UploadId: 'upload-2' }),
+      UploadPartCommand: (input) => {
+        if (input.PartNumber === 2) {
+          throw new Error('Part failed');
+        }
+        return { ETag: 'etag' };
+      },
+      AbortMultipartUploadCommand: () => ({}),
+    });
+
+    await assert.rejects(
+      s3Service.uploadLargeObject(
+        'test-bucket',
+        'big.bin',
+        Buffer.alloc(12 * MB),
+        {
+          partSize: 5 * MB,
+        }
+      ),
+      /Part failed/
+    );
+
+    const abort = calls.find(
+      (call) => call.name === 'AbortMultipartUploadCommand'
+    );
+    assert.strictEqual(abort.input.UploadId, 'upload-2');
+  });
+
+  test('should keep the upload error when the abort fails too', async () => {
+    mockSend({
+      CreateMultipartUploadCommand: () => ({ UploadId: 'upload-6' }),
+      UploadPartCommand: () => {
+        throw new Error('Part failed');
+      },
+      AbortMultipartUploadCommand: () => {
+        throw new Error('Abort failed');
+      },
+    });
+
+    await assert.rejects(
+      s3Service.uploadLargeObject('test-bucket', 'big.bin', Buffer.alloc(MB)),
+      (error) =>
+        error.message === 'Part failed' && error.uploadId === 'upload-6'
+    );
+    await assert.rejects(
+      s3Service.abortMultipartUpload('test-bucket', 'big.bin', 'upload-6'),
+      /Abort failed/
+    );
+  });
+
+  test('should wait for parts still uploading before aborting', async () => {
+    const events = [];
+    mockSend({
+      CreateMultipartUploadCommand: () => ({ UploadId: 'upload-4' }),
+      UploadPartCommand: async (input) => {
+        if (input.PartNumber === 1) {
+          throw new Error('Part failed');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        events.push(`part ${input.PartNumber}`);
+        return { ETag: 'etag' };
+      },
+      AbortMultipartUploadCommand: () => {
+        events.push('abort');
+        return {};
+      },
+    });
+
+    await assert.rejects(
+      s3Service.uploadLargeObject(
+        'test-bucket',
+        'big.bin',
+        Buffer.alloc(15 * MB),
+        { partSize: 5 * MB, concurrency: 2 }
+      ),
+      /Part failed/
+    );
+
+    assert.deepStrictEqual(events, ['part 2', 'abort']);
+  });
+
+  test('should size stream parts from expectedSize', async () => {
+    const calls = mockSend({
+      CreateMultipartUploadCommand: () => ({ UploadId: 'upload-5' }),
+      UploadPartCommand: (input) => ({ ETag: `etag-${input.PartNumber}` }),
+      CompleteMultipartUploadCommand: () => ({}),
+    });
+
+    // 100,000 MB in 10,000 parts needs 10 MB parts
+    await s3Service.uploadLargeObject(
+      'test-bucket',
+      'big.bin',
+      Readable.from([Buffer.alloc(12 * MB)]),
+      { partSize: 5 * MB, expectedSize: 100000 * MB }
+    );
+
+    const parts = calls.filter((call) => call.name === 'UploadPartCommand');
+    assert.deepStrictEqual(
+      parts.map((call) => call.input.Body.length),
+      [10 * MB, 2 * MB]
+    );
+  });
+
+  test('should resume an upload and skip parts already uploaded', async () => {
+    const calls = mockSend({
+      ListPartsCommand: () => ({
+        Parts: [{ PartNumber: 1, ETag: 'existing-1', Size: 5 * MB }],
+        IsTruncated: false,
+      }),
+      UploadPartCommand: (input) => ({ ETag: `etag-${input.PartNumber}` }),
+      CompleteMultipartUploadCommand: () => ({}),
+    });
+
+    await s3Service.uploadLargeObject(
+      'test-bucket',
+      'big.bin',
+      Buffer.alloc(7 * MB),
+      { partSize: 5 * MB, uploadId: 'upload-3' }
+    );
+
+    const parts = calls.filter((call) => call.name === 'UploadPartCommand');
+    assert.deepStrictEqual(
+      parts.map((call) => call.input.PartNumber),
+      [2]
+    );
+
+    const complete = calls.find(
+      (call) => call.name === 'CompleteMultipartUploadCommand'
+    );
+    assert.deepStrictEqual(complete.input.MultipartUpload.Parts, [
+      { PartNumber: 1, ETag: 'existing-1' },
+      { PartNumber: 2, ETag: 'etag-2' },
+    ]);
+  });
+});
+
+describe('S3 Service - downloads', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should return binary content untouched in buffer mode', async () => {
+    const bytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+    mockSend({
+      GetObjectCommand: () => ({
+        Body: Readable.from([bytes]),
+        ContentType: 'image/jpeg',
+      }),
+    });
+
+    const result = await s3Service.downloadObject('test-bucket', 'photo.jpg', {
+      as: 'buffer',
+    });
+
+    assert.ok(Buffer.isBuffer(result.content));
+    assert.deepStrictEqual(result.content, bytes);
+  });
+
+  test('should return the raw stream in stream mode', async () => {
+    const body = Readable.from([Buffer.from('data')]);
+    mockSend({ GetObjectCommand: () => ({ Body: body }) });
+
+    const result = await s3Service.downloadObject('test-bucket', 'file.bin', {
+      as: 'stream',
+    });
+
+    assert.strictEqual(result.content, body);
+  });
+
+  test('should send range and conditional headers', async () => {
+    const calls = mockSend({
+      GetObjectCommand: () => ({
+        Body: Readable.from([Buffer.from('abc')]),
+        ContentRange: 'bytes 100-199/1000',
+      }),
+    });
+
+    const result = await s3Service.downloadObject('test-bucket', 'file.txt', {
+      range: { start: 100, end: 199 },
+      ifNoneMatch: '"etag-1"',
+    });
+
+    assert.strictEqual(calls[0].input.Range, 'bytes=100-199');
+    assert.strictEqual(calls[0].input.IfNoneMatch, '"etag-1"');
+    assert.strictEqual(result.content, 'abc');
+    assert.strictEqual(result.contentRange, 'bytes 100-199/1000');
+  });
+
+  test('should report notModified instead of failing on 304', async () => {
+    mockSend({
+      GetObjectCommand: () => {
+        const error = new Error('Not Modified');
+        error.name = 'NotModified';
+        error.$metadata = { httpStatusCode: 304 };
+        throw error;
+      },
+    });
+
+    const result = await s3Service.downloadObject('test-bucket', 'file.txt', {
+      ifNoneMatch: '"etag-1"',
+    });
+
+    assert.strictEqual(result.notModified, true);
+    assert.strictEqual(result.content, null);
+  });
+});
+
+describe('S3 Service - object listing', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should follow continuation tokens across pages', async () => {
+    const calls = mockSend({
+      ListObjectsV2Command: (input) =>
+        input.ContinuationToken
+          ? { Contents: [{ Key: 'c.txt', Size: 3 }], IsTruncated: false }
+          : {
+              Contents: [
+                { Key: 'a.txt', Size: 1 },
+                { Key: 'b.txt', Size: 2 },
+              ],
+              IsTruncated: true,
+              NextContinuationToken: 'token-1',
+            },
+    });
+
+    const keys = [];
+    for await (const entry of s3Service.listObjects('test-bucket', {
+      prefix: 'docs/',
+    })) {
+      keys.push(entry.key);
+    }
+
+    assert.deepStrictEqual(keys, ['a.txt', 'b.txt', 'c.txt']);
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[1].input.ContinuationToken, 'token-1');
+    assert.strictEqual(calls[1].input.Prefix, 'docs/');
+  });
+
+  test('should stop at maxItems', async () => {
+    const calls = mockSend({
+      ListObjectsV2Command: () => ({
+        Contents: [{ Key: 'a.txt' }, { Key: 'b.txt' }],
+        IsTruncated: true,
+        NextContinuationToken: 'token',
+      }),
+    });
+
+    const { objects } = await s3Service.listAllObjects('test-bucket', {
+      maxItems: 3,
+    });
+
+    assert.strictEqual(objects.length, 3);
+    assert.strictEqual(calls[1].input.MaxKeys, 1);
+  });
+
+  test('should return folders when a delimiter is used', async () => {
+    mockSend({
+      ListObjectsV2Command: () => ({
+        CommonPrefixes: [{ Prefix: 'images/' }],
+        Contents: [{ Key: 'readme.txt' }],
+        IsTruncated: false,
+      }),
+    });
+
+    const { objects, folders } = await s3Service.listAllObjects('test-bucket', {
+      delimiter: '/',
+    });
+
+    assert.deepStrictEqual(
+      folders.map((folder) => folder.key),
+      ['images/']
+    );
+    assert.deepStrictEqual(
+      objects.map((object) => object.key),
+      ['readme.txt']
+    );
+  });
+});
+
+describe('S3 Service - presigned POST', () => {
+  before(() => {
+    // Signing is done locally, dummy credentials are enough
+    process.env.AWS_ACCESS_KEY_ID ||= 'test-access-key';
+    process.env.AWS_SECRET_ACCESS_KEY ||= 'test-secret-key';
+  });
+
+  const decodePolicy = (fields) =>
+    JSON.parse(Buffer.from(fields.Policy, 'base64').toString('utf8'));
+
+  test('should sign size, content type and metadata conditions', async () => {
+    const post = await s3Service.getUploadPresignedPost('test-bucket', {
+      keyPrefix: 'uploads/',
+      maxSizeBytes: 1024,
+      contentTypePrefix: 'image/',
+      metadata: { userId: '42' },
+      requiredMetadata: ['description'],
+      expiresIn: 300,
+    });
+
+    const { conditions } = decodePolicy(post.fields);
+    assert.strictEqual(post.key, 'uploads/${filename}');
+    assert.strictEqual(post.fields['x-amz-meta-userId'], '42');
+    assert.deepStrictEqual(
+      conditions.find((condition) => condition[0] === 'content-length-range'),
+      ['content-length-range', 0, 1024]
+    );
+    assert.ok(
+      conditions.some(
+        (condition) =>
+          condition[0] === 'starts-with' &&
+          condition[1] === '$Content-Type' &&
+          condition[2] === 'image/'
+      )
+    );
+    assert.ok(
+      conditions.some(
+        (condition) => condition[0] === 'starts-with' && condition[1] === '$key'
+      )
+    );
+    assert.ok(
+      conditions.some((condition) => condition[1] === '$x-amz-meta-description')
+    );
+  });
+
+  test('should reject a key outside the allowed prefix', async () => {
+    mock.method(console, 'error', () => {});
+    await assert.rejects(
+      s3Service.getUploadPresignedPost('test-bucket', {
+        key: 'other/file.pdf',
+        keyPrefix: 'uploads/',
+      }),
+      /does not start with/
+    );
+    mock.restoreAll();
+  });
+});
+
+describe('S3 Service - ZIP archives', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should stream objects into a ZIP uploaded in parts', async () => {
+    const contents = { 'docs/a.txt': 'first file', 'docs/b.txt': 'second' };
+    const uploadedParts = [];
+    const calls = mockSend({
+      HeadObjectCommand: (input) => ({
+        ContentLength: contents[input.Key].length,
+        LastModified: new Date('2024-01-01'),
+      }),
+      GetObjectCommand: (input) => ({
+        Body: Readable.from([Buffer.from(contents[input.Key])]),
+      }),
+      CreateMultipartUploadCommand: () => ({ UploadId: 'zip-upload' }),
+      UploadPartCommand: (input) => {
+        uploadedParts.push(input.Body);
+        return { ETag: `etag-${input.PartNumber}` };
+      },
+      CompleteMultipartUploadCommand: () => ({}),
+    });
+
+    const result = await s3Service.createZipArchive(
+      'test-bucket',
+      Object.keys(contents),
+      'bundles/docs.zip'
+    );
+
+    const zip = Buffer.concat(uploadedParts);
+    assert.strictEqual(zip.subarray(0, 2).toString(), 'PK');
+    assert.ok(zip.includes('docs/a.txt'));
+    assert.ok(zip.includes('docs/b.txt'));
+    assert.strictEqual(result.totalSize, 16);
+    assert.strictEqual(result.archiveSize, zip.length);
+
+    const create = calls.find(
+      (call) => call.name === 'CreateMultipartUploadCommand'
+    );
+    assert.strictEqual(create.input.Key, 'bundles/docs.zip');
+    assert.strictEqual(create.input.ContentType, 'application/zip');
+  });
+
+  test('should reuse object infos that were already fetched', async () => {
+    const calls = mockSend({
+      GetObjectCommand: () => ({ Body: Readable.from([Buffer.from('data')]) }),
+      CreateMultipartUploadCommand: () => ({ UploadId: 'zip-upload' }),
+      UploadPartCommand: () => ({ ETag: 'etag-1' }),
+      CompleteMultipartUploadCommand: () => ({}),
+    });
+
+    const result = await s3Service.createZipArchive(
+      'test-bucket',
+      ['docs/a.txt'],
+      'bundles/docs.zip',
+      { files: [{ key: 'docs/a.txt', size: 4, lastModified: new Date() }] }
+    );
+
+    assert.strictEqual(result.totalSize, 4);
+    assert.ok(!calls.some((call) => call.name === 'HeadObjectCommand'));
+  });
+
+  test('should fail before uploading when an object is missing', async () => {
+    const calls = mockSend({
+      HeadObjectCommand: () => {
+        const error = new Error('Not Found');
+        error.$metadata = { httpStatusCode: 404 };
+        throw error;
+      },
+    });
+
+    await assert.rejects(
+      s3Service.createZipArchive('test-bucket', ['missing.txt'], 'out.zip'),
+      /Objects not found: missing.txt/
+    );
+    assert.ok(
+      calls.every((call) => call.name === 'HeadObjectCommand'),
+      'No upload should be started'
+    );
+  });
+
+  describe('when the archive cannot be stored', () => {
+    const files = ['a.bin', 'b.bin', 'c.bin'].map((key) => ({
+      key,
+      size: 8 * MB,
+      lastModified: new Date('2024-01-01'),
+    }));
+    const sources = [];
+
+    // Objects are produced in chunks, as read, and must end up closed
+    const getObject = async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const body = Readable.from(
+        (function* () {
+          for (let chunk = 0; chunk < 128; chunk++) {
+            yield Buffer.alloc(64 * 1024);
+          }
+        })()
+      );
+      sources.push(body);
+      return { Body: body };
+    };
+
+    beforeEach(() => {
+      sources.length = 0;
+    });
+
+    test('should stop reading when the upload cannot start', async () => {
+      mockSend({
+        GetObjectCommand: getObject,
+        CreateMultipartUploadCommand: () => {
+          throw Object.assign(new Error('Access Denied'), {
+            name: 'AccessDenied',
+          });
+        },
+      });
+
+      await assert.rejects(
+        s3Service.createZipArchive(
+          'test-bucket',
+          files.map((file) => file.key),
+          'out.zip',
+          { files }
+        ),
+        { name: 'AccessDenied' }
+      );
+      // Let a late GetObject or destroy surface as an uncaught error
+      await new Promise((resolve) => setTimeout(resolve, 30));
+
+      assert.ok(sources.length < files.length);
+      assert.ok(sources.every((body) => body.destroyed));
+    });
+
+    test('should stop reading and abort when a part fails', async () => {
+      const calls = mockSend({
+        GetObjectCommand: getObject,
+        CreateMultipartUploadCommand: () => ({ UploadId: 'zip-upload' }),
+        UploadPartCommand: () => {
+          throw new Error('Part failed');
+        },
+        AbortMultipartUploadCommand: () => ({}),
+      });
+
+      await assert.rejects(
+        s3Service.createZipArchive(
+          'test-bucket',
+          files.map((file) => file.key),
+          'out.zip',
+          { files, compressionLevel: 0 }
+        ),
+        /Part failed/
+      );
+      await new Promise((resolve) => setTimeout(resolve, 30));
+
+      assert.ok(sources.every((body) => body.destroyed));
+      assert.ok(
+        calls.some((call) => call.name === 'AbortMultipartUploadCommand')
+      );
+    });
+  });
+});
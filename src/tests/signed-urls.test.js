@@ -1,5 +1,7 @@
-import { test, describe } from 'node:test';
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
+import { s3Client } from '../clients/s3-client.js';
+import { createImageGalleryUrls } from '../examples/signed-urls-advanced.js';
 
 // Mock de las funciones S3 para testing sin AWS real
 const mockS3Service = {
@@ -133,3 +135,127 @@ describe('Signed URLs Validation', () => {
     }, /Empty key not allowed/);
   });
 });
+
+describe('Image Gallery Manifest', () => {
+  const objects = {
+    'images/a.jpg': 100,
+    'images/b.jpg': 200,
+    'images/c.jpg': 300,
+    'thumbnails/a.jpg': 10,
+  };
+
+  before(() => {
+    // Presigned URLs are signed locally, dummy credentials are enough
+    process.env.AWS_ACCESS_KEY_ID ||= 'test-access-key';
+    process.env.AWS_SECRET_ACCESS_KEY ||= 'test-secret-key';
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(s3Client, 'send', async (command) => {
+      const { Key, Prefix, StartAfter, MaxKeys } = command.input;
+      if (command.constructor.name === 'HeadObjectCommand') {
+        if (!(Key in objects)) {
+          const error = new Error('Not Found');
+          error.$metadata = { httpStatusCode: 404 };
+          throw error;
+        }
+        return { ContentLength: objects[Key], ContentType: 'image/jpeg' };
+      }
+      const keys = Object.keys(objects)
+        .sort()
+        .filter((key) => key.startsWith(Prefix))
+        .filter((key) => !StartAfter || key > StartAfter)
+        .slice(0, MaxKeys);
+      return {
+        Contents: keys.map((key) => ({ Key: key })),
+        IsTruncated: false,
+      };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should fall back to the full image when a thumbnail is missing', async () => {
+    const gallery = await createImageGalleryUrls('test-bucket', [
+      'a.jpg',
+      'b.jpg',
+      'missing.jpg',
+    ]);
+
+    const [a, b] = gallery.items;
+    assert.strictEqual(a.thumbnail.key, 'thumbnails/a.jpg');
+    assert.strictEqual(a.thumbnail.isFallback, false);
+    assert.strictEqual(b.thumbnail.key, 'images/b.jpg');
+    assert.strictEqual(b.thumbnail.isFallback, true);
+    assert.strictEqual(b.fullSize.size, 200);
+    assert.deepStrictEqual(gallery.missing, ['missing.jpg']);
+  });
+
+  test('should discover images by prefix one page at a time', async () => {
+    const firstPage = await createImageGalleryUrls(
+      'test-bucket',
+      null,
+      60,
+      300,
+      {
+        pageSize: 2,
+      }
+    );
+    assert.deepStrictEqual(
+      firstPage.items.map((item) => item.name),
+      ['a.jpg', 'b.jpg']
+    );
+    assert.strictEqual(firstPage.nextPageToken, 'b.jpg');
+
+    const secondPage = await createImageGalleryUrls(
+      'test-bucket',
+      null,
+      60,
+      300,
+      {
+        pageSize: 2,
+        pageToken: firstPage.nextPageToken,
+      }
+    );
+    assert.deepStrictEqual(
+      secondPage.items.map((item) => item.name),
+      ['c.jpg']
+    );
+    assert.strictEqual(secondPage.nextPageToken, null);
+  });
+
+  test('should keep paging past folder markers', async () => {
+    objects['images/2024/'] = 0;
+    try {
+      const firstPage = await createImageGalleryUrls(
+        'test-bucket',
+        null,
+        60,
+        300,
+        { pageSize: 2 }
+      );
+
+      assert.deepStrictEqual(
+        firstPage.items.map((item) => item.name),
+        ['a.jpg']
+      );
+      assert.strictEqual(firstPage.nextPageToken, 'a.jpg');
+    } finally {
+      delete objects['images/2024/'];
+    }
+  });
+
+  test('should reject an unknown page token', async () => {
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(
+      createImageGalleryUrls('test-bucket', ['a.jpg', 'b.jpg'], 60, 300, {
+        pageToken: 'gone.jpg',
+      }),
+      /Unknown page token: gone.jpg/
+    );
+  });
+});
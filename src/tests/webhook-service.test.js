@@ -0,0 +1,181 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  deliverWebhook,
+  getFailedDeliveries,
+  clearFailedDeliveries,
+} from '../services/webhook-service.js';
+
+const SECRET = 'test-webhook-secret';
+
+/**
+ * Start a local HTTP server that answers with the given status codes in order
+ */
+async function startServer(statusCodes, headers = {}) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      const status =
+        statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+      res.writeHead(status, headers);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return { url: `http://127.0.0.1:${port}/webhook`, requests, server };
+}
+
+describe('Webhook Service', () => {
+  let local;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    clearFailedDeliveries();
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    if (local) {
+      await new Promise((resolve) => local.server.close(resolve));
+      local = null;
+    }
+  });
+
+  test('should verify signatures created with the same secret', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({ hello: 'world' });
+    const signature = signWebhookPayload(body, SECRET, timestamp);
+
+    assert.ok(
+      verifyWebhookSignature({ body, signature, timestamp, secret: SECRET })
+    );
+    assert.ok(
+      !verifyWebhookSignature({ body, signature, timestamp, secret: 'other' })
+    );
+    assert.ok(
+      !verifyWebhookSignature({
+        body: body + ' ',
+        signature,
+        timestamp,
+        secret: SECRET,
+      })
+    );
+  });
+
+  test('should reject old timestamps to prevent replays', () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const body = '{}';
+    const signature = signWebhookPayload(body, SECRET, timestamp);
+
+    assert.ok(
+      !verifyWebhookSignature({ body, signature, timestamp, secret: SECRET })
+    );
+  });
+
+  test('should deliver a signed payload the receiver can verify', async () => {
+    local = await startServer([200]);
+
+    const delivery = await deliverWebhook(
+      local.url,
+      { fileKey: 'docs/report.pdf' },
+      { secret: SECRET }
+    );
+
+    assert.strictEqual(delivery.status, 'delivered');
+    const [request] = local.requests;
+    assert.deepStrictEqual(JSON.parse(request.body), {
+      fileKey: 'docs/report.pdf',
+    });
+    assert.ok(
+      verifyWebhookSignature({
+        body: request.body,
+        signature: request.headers['x-webhook-signature'],
+        timestamp: request.headers['x-webhook-timestamp'],
+        secret: SECRET,
+      })
+    );
+  });
+
+  test('should retry server errors and record every attempt', async () => {
+    local = await startServer([500, 503, 200]);
+
+    const delivery = await deliverWebhook(
+      local.url,
+      { id: 1 },
+      { secret: SECRET, maxAttempts: 3, retryDelay: 5 }
+    );
+
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.deepStrictEqual(
+      delivery.attempts.map((attempt) => attempt.statusCode),
+      [500, 503, 200]
+    );
+  });
+
+  test('should not retry client errors and keep failed deliveries', async () => {
+    local = await startServer([400]);
+
+    const delivery = await deliverWebhook(
+      local.url,
+      { id: 2 },
+      { secret: SECRET, maxAttempts: 3, retryDelay: 5 }
+    );
+
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(local.requests.length, 1);
+    assert.deepStrictEqual(
+      getFailedDeliveries().map((failed) => failed.id),
+      [delivery.id]
+    );
+  });
+
+  test('should hand failed deliveries to onFailure and keep the latest', async () => {
+    local = await startServer([400]);
+    const reported = [];
+
+    for (let id = 0; id < 101; id++) {
+      await deliverWebhook(
+        local.url,
+        { id },
+        {
+          secret: SECRET,
+          onFailure: (delivery) => reported.push(delivery.id),
+        }
+      );
+    }
+
+    const failed = getFailedDeliveries();
+    assert.strictEqual(reported.length, 101);
+    assert.strictEqual(failed.length, 100);
+    assert.strictEqual(failed[0].id, reported[1]);
+    assert.strictEqual(failed[99].id, reported[100]);
+  });
+
+  test('should not wait for a Retry-After beyond the time budget', async () => {
+    local = await startServer([429], { 'Retry-After': '3600' });
+
+    const delivery = await deliverWebhook(
+      local.url,
+      { id: 3 },
+      { secret: SECRET, maxAttempts: 3, retryDelay: 5, timeBudget: 1000 }
+    );
+
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(local.requests.length, 1);
+  });
+
+  test('should require a secret', async () => {
+    await assert.rejects(
+      deliverWebhook('http://127.0.0.1:1/webhook', {}, {}),
+      /secret is required/
+    );
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Helpers to run async work with bounded concurrency
+ */
+
+/**
+ * Map items with an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} mapper - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Merge several async iterators into one, consuming at most `limit` of them
+ * at a time. Values are yielded as soon as any iterator produces them.
+ * @param {Function[]} factories - Functions that each return an async iterator
+ * @param {number} limit - Maximum number of iterators running at once
+ * @returns {AsyncGenerator} Values from every iterator
+ */
+export async function* mergeAsyncIterators(factories, limit) {
+  const waiting = [...factories];
+  const running = new Map();
+
+  const pull = (iterator) => {
+    running.set(
+      iterator,
+      iterator.next().then((result) => ({ iterator, result }))
+    );
+  };
+  const startNext = () => {
+    if (waiting.length > 0) {
+      pull(waiting.shift()());
+    }
+  };
+
+  try {
+    while (running.size < limit && waiting.length > 0) {
+      startNext();
+    }
+
+    while (running.size > 0) {
+      const { iterator, result } = await Promise.race(running.values());
+      if (result.done) {
+        running.delete(iterator);
+        startNext();
+      } else {
+        pull(iterator);
+        yield result.value;
+      }
+    }
+  } finally {
+    // Stop the iterators still running if the consumer stops early
+    await Promise.all(
+      [...running.keys()].map((iterator) => iterator.return?.())
+    );
+  }
+}
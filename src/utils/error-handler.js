@@ -1,51 +1,523 @@
 /**
  * Common AWS error handling utilities
  */
+import { getLogger } from './logger.js';
 
 /**
  * Extract useful information from AWS SDK errors
  */
 export function extractErrorInfo(error) {
+  const normalized = normalizeAwsError(error);
   return {
     name: error.name,
+    // Domain class, e.g. NotFoundError (same as name for non-AWS errors)
+    type: normalized.name,
     code: error.$metadata?.httpStatusCode,
     requestId: error.$metadata?.requestId,
     message: error.message,
-    retryable: error.$retryable,
+    retryable: normalized.retryable ?? error.$retryable,
+    service: normalized.service,
+    operation: normalized.operation,
   };
 }
 
 /**
- * Check if an error is of a specific type
+ * Check if an error is of a specific type (also matches the original
+ * error name of normalized errors)
  */
 export function isAwsError(error, errorCode) {
-  return error.name === errorCode;
+  return error.name === errorCode || error.code === errorCode;
 }
 
 /**
- * Wrapper for automatic retry
+ * Base class of the normalized AWS errors.
+ * `cause` is the original SDK error and `code` its name.
  */
-export async function withRetry(operation, maxRetries = 3, delay = 1000) {
-  let lastError;
+export class AwsServiceError extends Error {
+  constructor(message, options = {}) {
+    const { cause } = options;
+    super(message, { cause });
+    this.name = 'AwsServiceError';
+    this.service = options.service;
+    this.operation = options.operation;
+    this.code = options.code ?? cause?.name;
+    this.statusCode = options.statusCode ?? cause?.$metadata?.httpStatusCode;
+    this.requestId = options.requestId ?? cause?.$metadata?.requestId;
+    this.retryable =
+      options.retryable ??
+      (Boolean(cause?.$retryable) || this.constructor.retryable);
+  }
+}
+AwsServiceError.retryable = false;
+
+/**
+ * The bucket, object, table or item does not exist
+ */
+export class NotFoundError extends AwsServiceError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Missing permissions or invalid/expired credentials
+ */
+export class AccessDeniedError extends AwsServiceError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+/**
+ * Request rate or provisioned throughput exceeded
+ */
+export class ThrottledError extends AwsServiceError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ThrottledError';
+  }
+}
+ThrottledError.retryable = true;
+
+/**
+ * The request parameters were rejected
+ */
+export class ValidationFailedError extends AwsServiceError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationFailedError';
+  }
+}
+
+/**
+ * The resource is in use, already exists or is being changed concurrently
+ */
+export class ConflictError extends AwsServiceError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * The service failed or could not be reached
+ */
+export class ServiceUnavailableError extends AwsServiceError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+ServiceUnavailableError.retryable = true;
+
+/**
+ * Error thrown when a conditional write is rejected because its condition is false
+ */
+export class ConditionFailedError extends AwsServiceError {
+  constructor(message, { item, ...options } = {}) {
+    super(message, options);
+    this.name = 'ConditionFailedError';
+    // Current item in the table, when DynamoDB returned it
+    this.item = item;
+  }
+}
+
+// S3 and DynamoDB error names by domain class
+const ERROR_CLASSES = [
+  [
+    NotFoundError,
+    [
+      'NoSuchBucket',
+      'NoSuchKey',
+      'NoSuchUpload',
+      'NoSuchVersion',
+      'NotFound',
+      'ResourceNotFoundException',
+      'TableNotFoundException',
+    ],
+  ],
+  [
+    AccessDeniedError,
+    [
+      'AccessDenied',
+      'AccessDeniedException',
+      'AllAccessDisabled',
+      'ExpiredToken',
+      'ExpiredTokenException',
+      'Forbidden',
+      'InvalidAccessKeyId',
+      'InvalidSignatureException',
+      'MissingAuthenticationTokenException',
+      'SignatureDoesNotMatch',
+      'UnrecognizedClientException',
+    ],
+  ],
+  [
+    ThrottledError,
+    [
+      'ProvisionedThroughputExceededException',
+      'RequestLimitExceeded',
+      'RequestThrottled',
+      'RequestThrottledException',
+      'SlowDown',
+      'Throttling',
+      'ThrottlingException',
+      'TooManyRequestsException',
+    ],
+  ],
+  [
+    ConditionFailedError,
+    ['ConditionalCheckFailedException', 'PreconditionFailed'],
+  ],
+  [
+    ValidationFailedError,
+    [
+      'EntityTooLarge',
+      'EntityTooSmall',
+      'InvalidArgument',
+      'InvalidBucketName',
+      'InvalidPart',
+      'InvalidPartOrder',
+      'InvalidRange',
+      'InvalidRequest',
+      'ItemCollectionSizeLimitExceededException',
+      'KeyTooLongError',
+      'MalformedXML',
+      'SerializationException',
+      'ValidationException',
+    ],
+  ],
+  [
+    ConflictError,
+    [
+      'BucketAlreadyExists',
+      'BucketAlreadyOwnedByYou',
+      'BucketNotEmpty',
+      'IdempotentParameterMismatchException',
+      'OperationAborted',
+      'ResourceInUseException',
+      'TransactionCanceledException',
+      'TransactionConflictException',
+      'TransactionInProgressException',
+    ],
+  ],
+  [
+    ServiceUnavailableError,
+    [
+      'InternalError',
+      'InternalServerError',
+      'RequestTimeout',
+      'RequestTimeoutException',
+      'ServiceUnavailable',
+      'TimeoutError',
+    ],
+  ],
+];
+
+const CLASS_BY_NAME = new Map(
+  ERROR_CLASSES.flatMap(([ErrorClass, names]) =>
+    names.map((name) => [name, ErrorClass])
+  )
+);
+
+// Used for errors whose name is not listed above
+const CLASS_BY_STATUS = {
+  400: ValidationFailedError,
+  403: AccessDeniedError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: ConditionFailedError,
+  429: ThrottledError,
+  500: ServiceUnavailableError,
+  502: ServiceUnavailableError,
+  503: ServiceUnavailableError,
+  504: ServiceUnavailableError,
+};
+
+// Node.js network error codes
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+];
+
+// Conflicts that usually clear up on their own
+const RETRYABLE_CONFLICTS = [
+  'OperationAborted',
+  'TransactionConflictException',
+];
+
+/**
+ * Wrap an SDK error in its domain error class, so callers can use
+ * instanceof (NotFoundError, ThrottledError...) instead of error names.
+ * Errors that are already normalized or do not come from AWS are returned as is.
+ * @param {Error} error - Error thrown by an SDK call
+ * @param {Object} context - Where the error happened
+ * @param {string} context.service - e.g. 's3' or 'dynamodb'
+ * @param {string} context.operation - e.g. 'GetObject'
+ * @returns {Error} Normalized error
+ */
+export function normalizeAwsError(error, context = {}) {
+  if (!error || error instanceof AwsServiceError) {
+    return error;
+  }
+
+  const networkError = NETWORK_ERROR_CODES.includes(error.code);
+  if (!error.$metadata && !error.$fault && !networkError) {
+    return error;
+  }
+
+  const ErrorClass =
+    CLASS_BY_NAME.get(error.name) ||
+    CLASS_BY_STATUS[error.$metadata?.httpStatusCode] ||
+    (networkError ? ServiceUnavailableError : AwsServiceError);
+
+  const retryable = RETRYABLE_CONFLICTS.includes(error.name) ? true : undefined;
+  return new ErrorClass(error.message || error.name, {
+    cause: error,
+    code: networkError ? error.code : error.name,
+    service: context.service,
+    operation: context.operation,
+    retryable,
+  });
+}
+
+/**
+ * Error thrown when an optimistic-locking write finds that the item was
+ * changed by someone else since it was read
+ */
+export class VersionConflictError extends ConditionFailedError {
+  constructor(message, { expectedVersion, currentVersion, ...options } = {}) {
+    super(message, options);
+    this.name = 'VersionConflictError';
+    this.expectedVersion = expectedVersion;
+    // Version currently stored, or null if the item no longer exists
+    this.currentVersion = currentVersion;
+  }
+}
+
+/**
+ * Error thrown when DynamoDB cancels a transaction.
+ * `errors` has one entry per operation: null if it was fine, otherwise an
+ * error with its code (a ConditionFailedError for failed conditions).
+ */
+export class TransactionCanceledError extends AwsServiceError {
+  constructor(message, { errors = [], ...options } = {}) {
+    super(message, options);
+    this.name = 'TransactionCanceledError';
+    this.errors = errors;
+  }
+
+  /**
+   * Errors of the operations that actually failed
+   */
+  get failedOperations() {
+    return this.errors.filter(Boolean);
+  }
+}
+
+/**
+ * Error thrown when entity data does not match its schema
+ */
+export class EntityValidationError extends Error {
+  constructor(message, { errors = [] } = {}) {
+    super(message);
+    this.name = 'EntityValidationError';
+    // One message per problem found
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when the configuration has missing or invalid values
+ */
+export class ConfigValidationError extends Error {
+  constructor(message, { errors = [], environment } = {}) {
+    super(message);
+    this.name = 'ConfigValidationError';
+    // One message per problem found
+    this.errors = errors;
+    this.environment = environment;
+  }
+}
+
+/**
+ * Error thrown without calling the service while a circuit breaker is open.
+ * It is not retryable, so withRetry gives up instead of piling on.
+ */
+export class CircuitOpenError extends Error {
+  constructor(message, { circuit, retryAt } = {}) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.circuit = circuit;
+    // When the breaker will let a trial call through
+    this.retryAt = retryAt;
+    this.$retryable = false;
+  }
+}
+
+/**
+ * Error thrown when a rate limiter cannot grant a call within its maximum wait
+ */
+export class RateLimitExceededError extends Error {
+  constructor(message, { limiter } = {}) {
+    super(message);
+    this.name = 'RateLimitExceededError';
+    this.limiter = limiter;
+    this.$retryable = false;
+  }
+}
+
+/**
+ * Decide whether an error is worth retrying: throttling, 5xx and network
+ * errors, transient conflicts and any error flagged with $retryable
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean} True if the operation may succeed on a new attempt
+ */
+export function isRetryableError(error) {
+  const normalized = normalizeAwsError(error);
+  return Boolean(normalized?.retryable ?? error?.$retryable);
+}
+
+/**
+ * Delay requested by the server through a Retry-After header
+ * (seconds or HTTP date), from SDK responses or error.retryAfter
+ * @param {Error} error - Error thrown by the operation
+ * @returns {number|undefined} Delay in ms, or undefined if there is none
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.$response?.headers || {};
+  const value = error?.retryAfter ?? headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Run an operation, retrying failures according to a policy
+ *
+ *   await withRetry(({ attempt, signal }) => fetch(url, { signal }), {
+ *     maxAttempts: 5,
+ *     baseDelay: 200,
+ *     maxDelay: 5000,
+ *     jitter: 'decorrelated',
+ *     timeBudget: 15000,
+ *     signal: AbortSignal.timeout(20000),
+ *     onRetry: ({ attempt, delay, error }) => console.warn(...),
+ *   });
+ *
+ * The classic form withRetry(operation, maxAttempts, baseDelay) still works.
+ * A Retry-After sent by the server is honoured when it is longer than the
+ * computed delay, even beyond maxDelay, as long as it is within maxRetryAfter
+ * and fits in the time budget; otherwise withRetry gives up with the error.
+ * @param {Function} operation - Called with { attempt, signal }
+ * @param {Object|number} policy - Retry policy, or the maximum attempts
+ * @param {number} policy.maxAttempts - Attempts including the first (default 3)
+ * @param {number} policy.baseDelay - Delay before the first retry in ms (default 1000)
+ * @param {number} policy.maxDelay - Cap of the computed delays in ms (default 20000)
+ * @param {string} policy.jitter - 'full' (default), 'decorrelated' or 'none'
+ * @param {number} policy.maxRetryAfter - Longest Retry-After waited for in ms (default 60000)
+ * @param {number} policy.timeBudget - Give up when the next retry would end after this many ms
+ * @param {Function} policy.shouldRetry - (error, { attempt }) => boolean (default isRetryableError)
+ * @param {AbortSignal} policy.signal - Stops waiting and retrying when aborted
+ * @param {Function} policy.onRetry - Called with { attempt, delay, error } before each wait
+ * @param {Function} policy.random - Random source in [0, 1) (default Math.random)
+ * @param {number} baseDelay - Initial delay in ms, when policy is a number
+ * @returns {Promise<*>} Result of the operation
+ */
+export async function withRetry(operation, policy = {}, baseDelay) {
+  const {
+    maxAttempts = 3,
+    maxDelay = 20000,
+    jitter = 'full',
+    maxRetryAfter = 60000,
+    timeBudget = Infinity,
+    shouldRetry = isRetryableError,
+    signal,
+    onRetry = ({ attempt, delay, error }) =>
+      getLogger().warn(`Attempt ${attempt} failed, retrying in ${delay}ms`, {
+        attempt,
+        delay,
+        error,
+      }),
+    random = Math.random,
+  } = typeof policy === 'number' ? { maxAttempts: policy } : policy;
+  const initialDelay =
+    (typeof policy === 'number' ? baseDelay : policy.baseDelay) ?? 1000;
+
+  const startedAt = Date.now();
+  let previousDelay = initialDelay;
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await operation();
+      return await operation({ attempt, signal });
     } catch (error) {
-      lastError = error;
+      if (
+        signal?.aborted ||
+        attempt >= maxAttempts ||
+        !shouldRetry(error, { attempt })
+      ) {
+        throw error;
+      }
 
-      // Don't retry if the error is not retryable
-      if (!error.$retryable && attempt < maxRetries) {
-        break;
+      const cap = Math.min(maxDelay, initialDelay * 2 ** (attempt - 1));
+      let delay;
+      switch (jitter) {
+        case 'none':
+          delay = cap;
+          break;
+        case 'decorrelated':
+          delay = Math.min(
+            maxDelay,
+            initialDelay + random() * (previousDelay * 3 - initialDelay)
+          );
+          break;
+        default:
+          delay = random() * cap;
       }
+      const retryAfter = getRetryAfterMs(error) ?? 0;
+      delay = Math.round(Math.max(delay, retryAfter));
+      previousDelay = delay;
 
-      if (attempt < maxRetries) {
-        console.warn(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        delay *= 2; // Exponential backoff
+      if (
+        retryAfter > maxRetryAfter ||
+        Date.now() - startedAt + delay > timeBudget
+      ) {
+        throw error;
       }
+
+      onRetry({ attempt, delay, error });
+      await sleep(delay, signal);
     }
   }
+}
 
-  throw lastError;
+/**
+ * Wait for ms, rejecting with the abort reason if the signal fires first
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
@@ -0,0 +1,284 @@
+/**
+ * Build DynamoDB expressions from plain objects
+ *
+ * Attribute names always go through #placeholders (so reserved words like
+ * "name" or "status" work) and values through :placeholders.
+ */
+
+// Operators accepted in update objects, e.g. { views: { $add: 1 } }
+const UPDATE_OPERATORS = [
+  '$set',
+  '$remove',
+  '$add',
+  '$delete',
+  '$append',
+  '$ifNotExists',
+];
+
+// Operators accepted in condition objects, e.g. { age: { gte: 18 } }
+const CONDITION_OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>=',
+};
+const CONDITION_FUNCTIONS = [
+  'between',
+  'beginsWith',
+  'exists',
+  'contains',
+  'in',
+  'type',
+];
+
+/**
+ * Create a context that collects attribute name and value placeholders
+ * shared by every expression of a single request
+ */
+export function createExpressionContext() {
+  const names = {};
+  const values = {};
+  let valueCount = 0;
+
+  const namePlaceholder = (attributeName) => {
+    const base = `#${attributeName.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    let placeholder = base;
+    let suffix = 1;
+    while (names[placeholder] && names[placeholder] !== attributeName) {
+      placeholder = `${base}_${suffix++}`;
+    }
+    names[placeholder] = attributeName;
+    return placeholder;
+  };
+
+  return {
+    /**
+     * Placeholder for an attribute path like "address.city" or "items[0].price"
+     */
+    name(path) {
+      return path
+        .split('.')
+        .map((part) => {
+          const [, attributeName, indexes = ''] = part.match(
+            /^(.+?)((?:\[\d+\])*)$/
+          );
+          return `${namePlaceholder(attributeName)}${indexes}`;
+        })
+        .join('.');
+    },
+
+    /**
+     * Placeholder for a value
+     */
+    value(value) {
+      const placeholder = `:v${valueCount++}`;
+      values[placeholder] = value;
+      return placeholder;
+    },
+
+    /**
+     * Add placeholders defined by hand in a raw expression. A placeholder
+     * already generated for something else would silently change the
+     * request, so it is rejected.
+     */
+    merge(expressionAttributeNames = {}, expressionAttributeValues = {}) {
+      [
+        [names, expressionAttributeNames],
+        [values, expressionAttributeValues],
+      ].forEach(([placeholders, added]) => {
+        Object.entries(added).forEach(([placeholder, value]) => {
+          if (
+            placeholder in placeholders &&
+            placeholders[placeholder] !== value
+          ) {
+            throw new Error(
+              `Placeholder ${placeholder} is already used by a generated expression; rename it in the raw expression`
+            );
+          }
+          placeholders[placeholder] = value;
+        });
+      });
+    },
+
+    /**
+     * ExpressionAttributeNames/Values for the request (omitted when empty)
+     */
+    attributes() {
+      return {
+        ExpressionAttributeNames:
+          Object.keys(names).length > 0 ? names : undefined,
+        ExpressionAttributeValues:
+          Object.keys(values).length > 0 ? values : undefined,
+      };
+    },
+  };
+}
+
+/**
+ * Build an UpdateExpression from an object of changes
+ *
+ * - { name: 'Ana' }               SET #name = :v0
+ * - { views: { $add: 1 } }        ADD #views :v0 (numbers or sets)
+ * - { tags: { $delete: set } }    DELETE #tags :v0
+ * - { draft: { $remove: true } }  REMOVE #draft
+ * - { log: { $append: [entry] } } SET #log = list_append(if_not_exists(...), ...)
+ * - { createdAt: { $ifNotExists: now } } SET only if the attribute is missing
+ *
+ * @param {Object} changes - Attribute paths and their changes
+ * @param {Object} context - Expression context from createExpressionContext
+ * @returns {string} UpdateExpression
+ */
+export function buildUpdateExpression(changes, context) {
+  const clauses = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+
+  Object.entries(changes).forEach(([path, change]) => {
+    if (change === undefined) {
+      return;
+    }
+
+    const name = context.name(path);
+    const operator = getOperator(change, UPDATE_OPERATORS);
+
+    if (!operator) {
+      clauses.SET.push(`${name} = ${context.value(change)}`);
+      return;
+    }
+
+    const operand = change[operator];
+    switch (operator) {
+      case '$set':
+        clauses.SET.push(`${name} = ${context.value(operand)}`);
+        break;
+      case '$remove':
+        if (operand) {
+          clauses.REMOVE.push(name);
+        }
+        break;
+      case '$add':
+        clauses.ADD.push(`${name} ${context.value(operand)}`);
+        break;
+      case '$delete':
+        clauses.DELETE.push(`${name} ${context.value(operand)}`);
+        break;
+      case '$append':
+        clauses.SET.push(
+          `${name} = list_append(if_not_exists(${name}, ${context.value([])}), ${context.value(operand)})`
+        );
+        break;
+      case '$ifNotExists':
+        clauses.SET.push(
+          `${name} = if_not_exists(${name}, ${context.value(operand)})`
+        );
+        break;
+    }
+  });
+
+  const expression = Object.entries(clauses)
+    .filter(([, parts]) => parts.length > 0)
+    .map(([action, parts]) => `${action} ${parts.join(', ')}`)
+    .join(' ');
+
+  if (!expression) {
+    throw new Error('No changes to apply in the update');
+  }
+  return expression;
+}
+
+/**
+ * Build a condition expression from an object
+ *
+ * - { status: 'active' }                   #status = :v0
+ * - { age: { gte: 18, lt: 65 } }           #age >= :v0 AND #age < :v1
+ * - { sk: { beginsWith: 'ORDER#' } }       begins_with(#sk, :v0)
+ * - { deletedAt: { exists: false } }       attribute_not_exists(#deletedAt)
+ * - { price: { between: [10, 20] } }       #price BETWEEN :v0 AND :v1
+ * - { role: { in: ['admin', 'owner'] } }   #role IN (:v0, :v1)
+ * - { $or: [{ a: 1 }, { b: 2 }] }          ((#a = :v0) OR (#b = :v1))
+ *
+ * Every attribute of the object must match (AND).
+ * @param {Object} conditions - Attribute paths and their conditions
+ * @param {Object} context - Expression context from createExpressionContext
+ * @returns {string} Condition expression
+ */
+export function buildConditionExpression(conditions, context) {
+  const clauses = [];
+
+  Object.entries(conditions).forEach(([path, condition]) => {
+    if (path === '$or' || path === '$and') {
+      const joiner = path === '$or' ? ' OR ' : ' AND ';
+      const nested = condition.map(
+        (inner) => `(${buildConditionExpression(inner, context)})`
+      );
+      clauses.push(`(${nested.join(joiner)})`);
+      return;
+    }
+
+    const name = context.name(path);
+    if (!isConditionObject(condition)) {
+      clauses.push(`${name} = ${context.value(condition)}`);
+      return;
+    }
+
+    Object.entries(condition).forEach(([operator, operand]) => {
+      clauses.push(buildComparison(name, operator, operand, context));
+    });
+  });
+
+  return clauses.join(' AND ');
+}
+
+function buildComparison(name, operator, operand, context) {
+  if (CONDITION_OPERATORS[operator]) {
+    return `${name} ${CONDITION_OPERATORS[operator]} ${context.value(operand)}`;
+  }
+
+  switch (operator) {
+    case 'between':
+      return `${name} BETWEEN ${context.value(operand[0])} AND ${context.value(operand[1])}`;
+    case 'beginsWith':
+      return `begins_with(${name}, ${context.value(operand)})`;
+    case 'exists':
+      return operand
+        ? `attribute_exists(${name})`
+        : `attribute_not_exists(${name})`;
+    case 'contains':
+      return `contains(${name}, ${context.value(operand)})`;
+    case 'in':
+      return `${name} IN (${operand.map((value) => context.value(value)).join(', ')})`;
+    case 'type':
+      return `attribute_type(${name}, ${context.value(operand)})`;
+    default:
+      throw new Error(`Unknown condition operator: ${operator}`);
+  }
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+function getOperator(value, operators) {
+  if (!isPlainObject(value)) {
+    return undefined;
+  }
+  const keys = Object.keys(value);
+  return keys.length === 1 && operators.includes(keys[0]) ? keys[0] : undefined;
+}
+
+function isConditionObject(value) {
+  if (!isPlainObject(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return (
+    keys.length > 0 &&
+    keys.every(
+      (key) => CONDITION_OPERATORS[key] || CONDITION_FUNCTIONS.includes(key)
+    )
+  );
+}
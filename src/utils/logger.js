@@ -0,0 +1,237 @@
+/**
+ * Structured logging for the services and examples.
+ *
+ * A logger is any object with debug, info, warn and error methods taking
+ * (message, fields), and optionally child(fields). The built-in one writes a
+ * JSON line per entry (or a readable line in the "pretty" format); another one
+ * can be injected with setLogger. Everything is redacted before being handed
+ * to the logger: presigned URL signatures, credentials, security tokens and
+ * fields with sensitive names never reach the output.
+ */
+import { loggingConfig } from '../config/aws-config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[REDACTED]';
+
+// Field names that are always redacted, compared without case, "-" or "_"
+const SENSITIVE_FIELDS = [
+  'password',
+  'secret',
+  'secretAccessKey',
+  'sessionToken',
+  'securityToken',
+  'token',
+  'authorization',
+  'signature',
+  'credential',
+  'X-Amz-Signature',
+  'X-Amz-Security-Token',
+  'X-Amz-Credential',
+];
+
+// Signature parameters of presigned URLs and Authorization headers
+const SIGNED_PARAMETER_PATTERN =
+  /(^|[?&\s,;])(X-Amz-Signature|X-Amz-Security-Token|X-Amz-Credential|Signature|Credential|AWSAccessKeyId)=([^&\s,;'"#]*)/gi;
+
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+let rootLogger;
+
+/**
+ * Create a logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Lowest level written: debug, info, warn, error or silent (default info)
+ * @param {string} options.format - 'json' (default) or 'pretty'
+ * @param {Object} options.fields - Fields added to every entry
+ * @param {string[]} options.redactFields - Extra field names to redact
+ * @param {Function} options.write - Receives (level, line) (default the console)
+ * @returns {Object} Logger with debug, info, warn, error and child
+ */
+export function createLogger(options = {}) {
+  const {
+    level = 'info',
+    format = 'json',
+    fields = {},
+    redactFields = [],
+    write = (entryLevel, line) => console[CONSOLE_METHODS[entryLevel]](line),
+  } = options;
+
+  const threshold =
+    level === 'silent' ? LOG_LEVELS.length : LOG_LEVELS.indexOf(level);
+  if (threshold < 0) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const logger = {
+    level,
+    child: (childFields) =>
+      createLogger({ ...options, fields: { ...fields, ...childFields } }),
+  };
+
+  LOG_LEVELS.forEach((entryLevel, index) => {
+    logger[entryLevel] = (message, entryFields = {}) => {
+      if (index < threshold) {
+        return;
+      }
+      const entry = redact(
+        { message, ...fields, ...entryFields },
+        redactFields
+      );
+      // Request IDs of AWS errors are lifted so they can be searched directly
+      entry.requestId ??= entry.error?.requestId;
+
+      write(entryLevel, formatEntry(entryLevel, entry, format));
+    };
+  });
+
+  return logger;
+}
+
+/**
+ * Replace the logger used by the services and examples
+ * @param {Object} logger - Logger to use, or null to go back to the built-in one
+ * @returns {Object} The previous logger, to restore it later
+ */
+export function setLogger(logger) {
+  const previous = rootLogger;
+  rootLogger = logger ?? undefined;
+  return previous;
+}
+
+/**
+ * Logger bound to some fields, e.g. getLogger({ service: 's3' }).
+ * Calls go to the current logger, so it can be taken once at module level
+ * and still follow setLogger.
+ * @param {Object} fields - Fields added to every entry
+ * @returns {Object} Logger with debug, info, warn, error and child
+ */
+export function getLogger(fields = {}) {
+  const logger = {
+    child: (childFields) => getLogger({ ...fields, ...childFields }),
+  };
+
+  LOG_LEVELS.forEach((level) => {
+    logger[level] = (message, entryFields = {}) => {
+      rootLogger ??= createLogger(loggingConfig);
+      // Redacted here too, so injected loggers only ever see safe values
+      const { redactFields } = loggingConfig;
+      const { message: safeMessage, ...safeFields } = redact(
+        { message, ...entryFields },
+        redactFields
+      );
+      const boundFields = redact(fields, redactFields);
+
+      if (typeof rootLogger.child === 'function') {
+        rootLogger.child(boundFields)[level](safeMessage, safeFields);
+      } else {
+        rootLogger[level](safeMessage, { ...boundFields, ...safeFields });
+      }
+    };
+  });
+
+  return logger;
+}
+
+/**
+ * Copy a value with secrets removed: sensitive fields, signature parameters
+ * of presigned URLs and Authorization headers. Errors become plain objects.
+ * @param {*} value - Value to clean
+ * @param {string[]} redactFields - Extra field names to redact
+ * @returns {*} Redacted copy
+ */
+export function redact(value, redactFields = []) {
+  const sensitive = new Set(
+    [...SENSITIVE_FIELDS, ...redactFields].map(normalizeField)
+  );
+  return redactValue(value, sensitive, new WeakSet());
+}
+
+function redactValue(value, sensitive, ancestors) {
+  if (typeof value === 'string') {
+    return value.replace(
+      SIGNED_PARAMETER_PATTERN,
+      (_match, separator, name) => `${separator}${name}=${REDACTED}`
+    );
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Uint8Array) {
+    return `[Binary ${value.length} bytes]`;
+  }
+  // Only the objects being copied count, so repeated references are kept
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+  ancestors.add(value);
+
+  let copy;
+  if (value instanceof Error) {
+    copy = redactValue(serializeError(value), sensitive, ancestors);
+  } else if (value instanceof Set || Array.isArray(value)) {
+    copy = Array.from(value, (item) => redactValue(item, sensitive, ancestors));
+  } else {
+    const source = value instanceof Map ? Object.fromEntries(value) : value;
+    copy = Object.fromEntries(
+      Object.entries(source).map(([key, item]) => [
+        key,
+        sensitive.has(normalizeField(key))
+          ? REDACTED
+          : redactValue(item, sensitive, ancestors),
+      ])
+    );
+  }
+
+  ancestors.delete(value);
+  return copy;
+}
+
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    statusCode: error.statusCode ?? error.$metadata?.httpStatusCode,
+    requestId: error.requestId ?? error.$metadata?.requestId,
+    stack: error.stack,
+  };
+  if (error.cause) {
+    serialized.cause = error.cause;
+  }
+  return Object.fromEntries(
+    Object.entries(serialized).filter(([, item]) => item !== undefined)
+  );
+}
+
+function normalizeField(name) {
+  return name.toLowerCase().replace(/[-_]/g, '');
+}
+
+function formatEntry(level, entry, format) {
+  if (format === 'pretty') {
+    const { message, ...fields } = entry;
+    const details = Object.entries(fields).filter(
+      ([, item]) => item !== undefined
+    );
+    return details.length > 0
+      ? `${level.toUpperCase()} ${message} ${JSON.stringify(Object.fromEntries(details))}`
+      : `${level.toUpperCase()} ${message}`;
+  }
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    ...entry,
+  });
+}
@@ -0,0 +1,314 @@
+/**
+ * Client-side protection for services that start throttling or failing:
+ * a circuit breaker that stops calls for a while, and a token-bucket rate
+ * limiter that smooths them out. Attach them to the shared clients with
+ * protectS3 / protectDynamoDB, or wrap any async call with them directly.
+ */
+import {
+  CircuitOpenError,
+  RateLimitExceededError,
+  isRetryableError,
+} from './error-handler.js';
+
+/**
+ * Circuit breaker with closed, open and half-open states.
+ *
+ * While closed, the outcome of the last `windowSize` calls is kept; once at
+ * least `minimumCalls` are recorded and the share of failures reaches
+ * `failureRateThreshold`, the breaker opens and rejects every call with a
+ * CircuitOpenError. After `coolDownMs` it lets `halfOpenMaxCalls` trial calls
+ * through: if they all succeed it closes again, a failure reopens it.
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Name shown in errors and state (default 'circuit-breaker')
+ * @param {number} options.failureRateThreshold - Failure share that opens the breaker (default 0.5)
+ * @param {number} options.minimumCalls - Calls needed before the rate is evaluated (default 10)
+ * @param {number} options.windowSize - Recent calls considered (default 20)
+ * @param {number} options.coolDownMs - Time open before the trial calls (default 30000)
+ * @param {number} options.halfOpenMaxCalls - Trial calls while half-open (default 1)
+ * @param {Function} options.isFailure - Which errors count as failures (default isRetryableError,
+ *   so throttling, 5xx and network errors do, and 404s or validation errors do not)
+ * @param {Function} options.onStateChange - Called with { name, from, to }
+ * @param {Function} options.now - Clock in ms (default Date.now)
+ * @returns {Object} { execute, getState, reset }
+ */
+export function createCircuitBreaker(options = {}) {
+  const {
+    name = 'circuit-breaker',
+    failureRateThreshold = 0.5,
+    minimumCalls = 10,
+    windowSize = 20,
+    coolDownMs = 30000,
+    halfOpenMaxCalls = 1,
+    isFailure = isRetryableError,
+    onStateChange,
+    now = Date.now,
+  } = options;
+
+  let state = 'closed';
+  let outcomes = [];
+  let openedAt = null;
+  let trialCalls = 0;
+  let trialSuccesses = 0;
+
+  const failureCount = () => outcomes.filter(Boolean).length;
+  const failureRate = () =>
+    outcomes.length === 0 ? 0 : failureCount() / outcomes.length;
+
+  const transition = (next) => {
+    const previous = state;
+    state = next;
+    trialCalls = 0;
+    trialSuccesses = 0;
+    if (next === 'open') {
+      openedAt = now();
+    }
+    if (next === 'closed') {
+      outcomes = [];
+      openedAt = null;
+    }
+    if (previous !== next) {
+      onStateChange?.({ name, from: previous, to: next });
+    }
+  };
+
+  const currentState = () => {
+    if (state === 'open' && now() - openedAt >= coolDownMs) {
+      transition('half-open');
+    }
+    return state;
+  };
+
+  const settle = (trial, failed) => {
+    if (trial) {
+      // Trials that finish after the breaker changed state no longer matter
+      if (state !== 'half-open') {
+        return;
+      }
+      if (failed) {
+        transition('open');
+      } else if (++trialSuccesses >= halfOpenMaxCalls) {
+        transition('closed');
+      }
+      return;
+    }
+
+    if (state !== 'closed') {
+      return;
+    }
+    outcomes.push(failed);
+    if (outcomes.length > windowSize) {
+      outcomes.shift();
+    }
+    if (
+      outcomes.length >= minimumCalls &&
+      failureRate() >= failureRateThreshold
+    ) {
+      transition('open');
+    }
+  };
+
+  return {
+    /**
+     * Run an operation through the breaker
+     * @param {Function} operation - Async function to protect
+     * @returns {Promise<*>} Result of the operation
+     * @throws {CircuitOpenError} Without calling it, while open
+     */
+    async execute(operation) {
+      const current = currentState();
+      if (
+        current === 'open' ||
+        (current === 'half-open' && trialCalls >= halfOpenMaxCalls)
+      ) {
+        throw new CircuitOpenError(`Circuit ${name} is open`, {
+          circuit: name,
+          retryAt: new Date(openedAt + coolDownMs),
+        });
+      }
+
+      const trial = current === 'half-open';
+      if (trial) {
+        trialCalls++;
+      }
+      try {
+        const result = await operation();
+        settle(trial, false);
+        return result;
+      } catch (error) {
+        settle(trial, Boolean(isFailure(error)));
+        throw error;
+      }
+    },
+
+    /**
+     * Current state, for health checks
+     * @returns {Object} { name, state, calls, failures, failureRate, openedAt, retryAt }
+     */
+    getState() {
+      const current = currentState();
+      return {
+        name,
+        state: current,
+        calls: outcomes.length,
+        failures: failureCount(),
+        failureRate: failureRate(),
+        openedAt: openedAt === null ? null : new Date(openedAt),
+        retryAt: current === 'open' ? new Date(openedAt + coolDownMs) : null,
+      };
+    },
+
+    /**
+     * Close the breaker and forget the recorded calls
+     */
+    reset() {
+      transition('closed');
+    },
+  };
+}
+
+/**
+ * Token-bucket rate limiter.
+ *
+ * The bucket holds up to `burst` tokens and refills at `ratePerSecond`. Each
+ * call takes a token; when none is left, callers wait in order for the next
+ * one. If a caller would wait longer than `maxWaitMs`, it is rejected right
+ * away with a RateLimitExceededError instead.
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Name shown in errors and state (default 'rate-limiter')
+ * @param {number} options.ratePerSecond - Calls allowed per second on average
+ * @param {number} options.burst - Bucket size, calls allowed at once (default ratePerSecond)
+ * @param {number} options.maxWaitMs - Longest wait accepted (default no limit)
+ * @param {Function} options.now - Clock in ms (default Date.now)
+ * @returns {Object} { acquire, tryAcquire, execute, getState }
+ */
+export function createRateLimiter(options = {}) {
+  const {
+    name = 'rate-limiter',
+    ratePerSecond,
+    burst = ratePerSecond,
+    maxWaitMs = Infinity,
+    now = Date.now,
+  } = options;
+
+  if (!(ratePerSecond > 0) || !(burst >= 1)) {
+    throw new Error('ratePerSecond must be positive and burst at least 1');
+  }
+
+  let tokens = burst;
+  let refilledAt = now();
+  let timer = null;
+  const queue = [];
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(
+      burst,
+      tokens + ((current - refilledAt) / 1000) * ratePerSecond
+    );
+    refilledAt = current;
+  };
+
+  // Hand out tokens to waiting callers, then sleep until the next one
+  const drain = () => {
+    timer = null;
+    refill();
+    while (queue.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      queue.shift().release();
+    }
+    if (queue.length > 0) {
+      timer = setTimeout(
+        drain,
+        Math.ceil(((1 - tokens) / ratePerSecond) * 1000)
+      );
+    }
+  };
+
+  const limiter = {
+    /**
+     * Wait for a token
+     * @param {Object} options - Acquire options
+     * @param {AbortSignal} options.signal - Stops waiting when aborted
+     * @returns {Promise<void>} Resolves when the call may proceed
+     * @throws {RateLimitExceededError} If the wait would exceed maxWaitMs
+     */
+    acquire({ signal } = {}) {
+      if (signal?.aborted) {
+        return Promise.reject(signal.reason);
+      }
+      refill();
+      if (queue.length === 0 && tokens >= 1) {
+        tokens -= 1;
+        return Promise.resolve();
+      }
+
+      const waitMs = ((queue.length + 1 - tokens) / ratePerSecond) * 1000;
+      if (waitMs > maxWaitMs) {
+        return Promise.reject(
+          new RateLimitExceededError(
+            `Rate limiter ${name} cannot grant a call within ${maxWaitMs}ms`,
+            { limiter: name }
+          )
+        );
+      }
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          queue.splice(queue.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        const waiter = {
+          release: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          },
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.push(waiter);
+        if (!timer) {
+          drain();
+        }
+      });
+    },
+
+    /**
+     * Take a token only if one is available right now
+     * @returns {boolean} True if the call may proceed
+     */
+    tryAcquire() {
+      refill();
+      if (queue.length === 0 && tokens >= 1) {
+        tokens -= 1;
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Wait for a token, then run an operation
+     * @param {Function} operation - Async function to limit
+     * @returns {Promise<*>} Result of the operation
+     */
+    async execute(operation, options) {
+      await limiter.acquire(options);
+      return operation();
+    },
+
+    /**
+     * Current state, for health checks
+     * @returns {Object} { name, tokens, capacity, ratePerSecond, queued }
+     */
+    getState() {
+      refill();
+      return {
+        name,
+        tokens: Math.floor(tokens),
+        capacity: burst,
+        ratePerSecond,
+        queued: queue.length,
+      };
+    },
+  };
+
+  return limiter;
+}